@@ -0,0 +1,50 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../utils/logger');
+const { getFixtureDir, fixtureFile } = require('./fixtures');
+const log = createLogger('api');
+
+/**
+ * Local HTTP server for recorded API fixtures. It serves the same /collections/... and
+ * /tokens/... routes as the MagicEden API (with or without the /v2 prefix), so pointing
+ * config.magiceden.api at it gives deterministic offline runs.
+ *
+ * Usage: node src/api/fixture-server.js [port] [fixture-dir]
+ */
+
+/**
+ * Create the fixture server
+ * @param {string} dir - Fixture directory
+ * @returns {http.Server} HTTP server, not yet listening
+ */
+function createFixtureServer(dir) {
+    return http.createServer((req, res) => {
+        const { pathname, search } = new URL(req.url, 'http://localhost');
+        const route = pathname.replace(/^\/v2(?=\/)/, '');
+        const file = req.method === 'GET' ? fixtureFile(dir, route, search.slice(1)) : null;
+
+        if (!file || !fs.existsSync(file)) {
+            log.warn(`No fixture for ${req.method} ${req.url}`);
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'No fixture for this request' }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        fs.createReadStream(file).pipe(res);
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 4000;
+    const dir = process.argv[3] ? path.resolve(process.cwd(), process.argv[3]) : getFixtureDir();
+
+    createFixtureServer(dir).listen(port, () => {
+        log(`Serving fixtures from ${dir} on http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    createFixtureServer
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const log = createLogger('api');
+
+/**
+ * API response fixtures. In record mode every successful response is saved to the fixture
+ * directory; in replay mode responses are read back from it instead of calling the API.
+ * Each response is stored at <dir>/<route>.json, or <dir>/<route>@<query>.json when the
+ * request has a query string, where route is the URL path relative to the API base.
+ */
+
+const settings = config.magiceden.fixtures || {};
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * Get the fixture mode
+ * @returns {string} off, record or replay
+ * @throws {Error} If the configured mode is unknown
+ */
+function getFixtureMode() {
+    const mode = settings.mode || 'off';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown fixture mode: ${mode} (expected ${MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Get the fixture directory
+ * @returns {string} Absolute path to the fixture directory
+ */
+function getFixtureDir() {
+    return path.resolve(process.cwd(), settings.dir || 'fixtures/magiceden');
+}
+
+/**
+ * Get the fixture file for a route
+ * @param {string} dir - Fixture directory
+ * @param {string} route - URL path relative to the API base, such as /collections/mkrs/stats
+ * @param {string} [query] - Query string without the leading ?
+ * @returns {string|null} Fixture file path, or null if the route would escape the directory
+ */
+function fixtureFile(dir, route, query = '') {
+    const segments = route.split('/').filter(segment => segment).map(decodeURIComponent);
+    if (segments.length === 0 || segments.some(segment => segment === '..' || segment === '.' || segment.includes(path.sep))) {
+        return null;
+    }
+
+    const name = query ? `${segments.pop()}@${query.replace(/[^\w=&.,-]/g, '_')}` : segments.pop();
+    return path.join(dir, ...segments, `${name}.json`);
+}
+
+/**
+ * Get the fixture file for a request URL
+ * @param {string} url - Request URL under the configured API base
+ * @returns {string|null} Fixture file path, or null if the URL has no fixture route
+ */
+function fixturePath(url) {
+    const base = new URL(config.magiceden.api);
+    const { pathname, search } = new URL(url);
+    const basePath = base.pathname.replace(/\/$/, '');
+    const route = pathname.startsWith(`${basePath}/`) ? pathname.slice(basePath.length) : pathname;
+    return fixtureFile(getFixtureDir(), route, search.slice(1));
+}
+
+/**
+ * Save a response as a fixture
+ * @param {string} url - Request URL
+ * @param {any} data - Response data
+ * @returns {boolean} Whether the fixture was saved
+ */
+function saveFixture(url, data) {
+    const file = fixturePath(url);
+    if (!file) {
+        return false;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+        return true;
+    } catch (error) {
+        log.warn(`Error saving fixture ${file}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Load the fixture for a request
+ * A missing fixture fails like a 404 response, so it is not retried
+ * @param {string} url - Request URL
+ * @returns {any} Response data
+ * @throws {Error} If there is no fixture for the URL
+ */
+function loadFixture(url) {
+    const file = fixturePath(url);
+    if (!file || !fs.existsSync(file)) {
+        const error = new Error(`No fixture for ${url}`);
+        error.response = { status: 404, headers: {} };
+        throw error;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+    getFixtureMode,
+    getFixtureDir,
+    fixtureFile,
+    saveFixture,
+    loadFixture
+};
@@ -1,10 +1,18 @@
 const config = require('config');
-const axios = require('axios');
-const axiosThrottle = require('axios-request-throttle');
-const { log, requestError } = require('../utils/logger');
+const { createLogger } = require('../utils/logger');
+const { request, getRequestStats } = require('./request');
+const log = createLogger('api');
 
 const API = config.magiceden.api;
-axiosThrottle.use(axios, { requestsPerSecond: config.magiceden.requestsPerSecond });
+
+/**
+ * Log a request that failed after all retries
+ * @param {string} source - Source of the error
+ * @param {Error} err - Error object
+ */
+function requestFailed(source, err) {
+    log.error(`${source} failed:`, err);
+}
 
 /**
  * Get collection metadata and statistics
@@ -13,11 +21,9 @@ axiosThrottle.use(axios, { requestsPerSecond: config.magiceden.requestsPerSecond
  */
 async function getCollectionInfo(symbol) {
     try {
-        const url = `${API}/collections/${symbol}`;
-        const { data } = await axios.get(url);
-        return data;
+        return await request('getCollectionInfo', `${API}/collections/${symbol}`);
     } catch (e) {
-        await requestError('getCollectionInfo', e);
+        requestFailed('getCollectionInfo', e);
         return null;
     }
 }
@@ -29,11 +35,9 @@ async function getCollectionInfo(symbol) {
  */
 async function getCollectionStats(symbol) {
     try {
-        const url = `${API}/collections/${symbol}/stats`;
-        const { data } = await axios.get(url);
-        return data;
+        return await request('getCollectionStats', `${API}/collections/${symbol}/stats`);
     } catch (e) {
-        await requestError('getCollectionStats', e);
+        requestFailed('getCollectionStats', e);
         return null;
     }
 }
@@ -53,7 +57,7 @@ async function getCollectionListings(symbol) {
     while (hasMore) {
         try {
             const url = `${API}/collections/${symbol}/listings?offset=${offset}&limit=${limit}`;
-            const { data } = await axios.get(url);
+            const data = await request('getCollectionListings', url);
 
             if (data && data.length > 0) {
                 allListings.push(...data);
@@ -68,8 +72,8 @@ async function getCollectionListings(symbol) {
                 hasMore = false;
             }
         } catch (e) {
-            const retry = await requestError('getCollectionListings', e);
-            if (!retry) hasMore = false;
+            requestFailed('getCollectionListings', e);
+            hasMore = false;
         }
     }
 
@@ -78,16 +82,44 @@ async function getCollectionListings(symbol) {
 }
 
 /**
- * Get all NFTs in a collection (both listed and unlisted)
+ * Check whether an activity is at or before a sync cursor
+ * @param {Object} activity - Collection activity
+ * @param {Object} cursor - Sync cursor with blockTime and signatures
+ * @returns {boolean} Whether the activity was already seen by the previous sync
+ */
+function reachedCursor(activity, cursor) {
+    if (!cursor || !activity.blockTime) {
+        return false;
+    }
+    return activity.blockTime < cursor.blockTime
+        || (activity.blockTime === cursor.blockTime && cursor.signatures.includes(activity.signature));
+}
+
+/**
+ * Sync the NFTs in a collection (both listed and unlisted) from its activities
+ * Activities are returned newest first, so with a cursor from a previous sync only the
+ * activities since then are walked, and metadata is only fetched for mints not already known.
+ * The walk is complete once it reaches the previous cursor or the last page. When a page
+ * fails or the fetch limit stops it early, the previous cursor is returned instead of the
+ * newest activity, so the next sync walks the skipped activities again
  * @param {string} symbol - Collection symbol
- * @returns {Promise<Array>} Array of all NFT metadata
+ * @param {Object} [options] - Sync options
+ * @param {Object} [options.cursor] - Cursor returned by the previous sync
+ * @param {Set} [options.knownMints] - Mint addresses already cached
+ * @returns {Promise<Object>} New NFT metadata, the cursor for the next sync and whether the walk was complete
  */
-async function getAllCollectionNFTs(symbol) {
-    log(`Fetching all NFTs (including unlisted) for collection: ${symbol}`);
+async function syncCollectionNFTs(symbol, { cursor = null, knownMints = new Set() } = {}) {
+    const incremental = Boolean(cursor) || knownMints.size > 0;
+    log(incremental
+        ? `Fetching NFTs added since the last sync for collection: ${symbol}`
+        : `Fetching all NFTs (including unlisted) for collection: ${symbol}`);
     const limit = 500;
-    let allNFTs = [];
+    let newNFTs = [];
     let offset = 0;
     let hasMore = true;
+    let complete = false;
+    let nextCursor = cursor;
+    const checkedMints = new Set(knownMints);
 
     // Get max NFTs to fetch from config
     const maxNFTsToFetch = config.collectionAnalysis.maxNFTsToFetch;
@@ -97,53 +129,129 @@ async function getAllCollectionNFTs(symbol) {
         try {
             // This endpoint returns all tokens in a collection, not just listings
             const url = `${API}/collections/${symbol}/activities?offset=${offset}&limit=${limit}`;
-            const { data } = await axios.get(url);
+            const data = await request('getCollectionActivities', url);
 
             if (data && data.length > 0) {
-                // Extract unique token addresses from activities
-                const uniqueTokens = [...new Set(data
+                // The newest activity becomes the cursor for the next sync
+                if (offset === 0 && data[0].blockTime) {
+                    const newestTime = data[0].blockTime;
+                    nextCursor = {
+                        blockTime: newestTime,
+                        signatures: data.filter(activity => activity.blockTime === newestTime).map(activity => activity.signature)
+                    };
+                }
+
+                // Only look at activities since the previous sync
+                const cursorIndex = data.findIndex(activity => reachedCursor(activity, cursor));
+                const activities = cursorIndex === -1 ? data : data.slice(0, cursorIndex);
+
+                // Extract unique token addresses from activities that haven't been seen before
+                const mintsToFetch = [...new Set(activities
                     .filter(activity => activity.tokenMint)
-                    .map(activity => activity.tokenMint))];
-
-                // For each unique token, fetch its metadata
-                for (const mint of uniqueTokens) {
-                    // Stop if we've reached the configured limit
-                    if (allNFTs.length >= maxNFTsToFetch) {
-                        log(`Reached configured limit of ${maxNFTsToFetch} NFTs, stopping collection`);
-                        hasMore = false;
-                        break;
-                    }
-
-                    if (!allNFTs.some(nft => nft.mintAddress === mint)) {
-                        try {
-                            const metadata = await getNFTMetadata(mint);
-                            if (metadata) {
-                                allNFTs.push(metadata);
-                            }
-                        } catch (metadataError) {
-                            log(`Error fetching metadata for ${mint}:`, metadataError);
-                        }
-                    }
+                    .map(activity => activity.tokenMint))]
+                    .filter(mint => !checkedMints.has(mint));
+
+                // Stop if we've reached the configured limit
+                const remaining = Math.max(0, maxNFTsToFetch - knownMints.size - newNFTs.length);
+                if (mintsToFetch.length >= remaining) {
+                    log(`Reached configured limit of ${maxNFTsToFetch} NFTs, stopping collection`);
+                    mintsToFetch.length = remaining;
+                    hasMore = false;
                 }
 
+                // Fetch metadata for the new tokens, as many at a time as the request pool allows
+                mintsToFetch.forEach(mint => checkedMints.add(mint));
+                const metadata = await Promise.all(mintsToFetch.map(mint => getNFTMetadata(mint)));
+                newNFTs.push(...metadata.filter(nft => nft));
+
                 offset += limit;
-                log(`Processed ${data.length} activities, found ${allNFTs.length} NFTs total`);
+                log(`Processed ${activities.length} activities, found ${newNFTs.length} new NFTs`);
 
-                // If we received fewer than the limit or reached max, we're done
-                if (data.length < limit || allNFTs.length >= maxNFTsToFetch) {
+                // If we received fewer than the limit or reached the cursor, we're done
+                if (hasMore && (data.length < limit || cursorIndex !== -1)) {
                     hasMore = false;
+                    complete = true;
                 }
             } else {
                 hasMore = false;
+                complete = true;
             }
         } catch (e) {
-            const retry = await requestError('getAllCollectionNFTs', e);
-            if (!retry) hasMore = false;
+            requestFailed('syncCollectionNFTs', e);
+            hasMore = false;
         }
     }
 
-    log(`Completed fetching ${allNFTs.length} total NFTs for collection: ${symbol}`);
-    return allNFTs;
+    if (!complete) {
+        log.warn(`Sync of collection ${symbol} stopped early, keeping the previous sync cursor`);
+    }
+    log(`Completed fetching ${newNFTs.length} new NFTs for collection: ${symbol}`);
+    return { nfts: newNFTs, cursor: complete ? nextCursor : cursor, complete };
+}
+
+/**
+ * Get the activities of a collection (listings, delistings, sales and bids), newest first
+ * @param {string} symbol - Collection symbol
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.maxActivities] - Stop after this many activities
+ * @returns {Promise<Array>} Raw activities
+ */
+async function getCollectionActivities(symbol, { maxActivities = Infinity } = {}) {
+    log(`Fetching activities for collection: ${symbol}`);
+    const limit = 500;
+    const allActivities = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore && allActivities.length < maxActivities) {
+        try {
+            const url = `${API}/collections/${symbol}/activities?offset=${offset}&limit=${limit}`;
+            const data = await request('getCollectionActivities', url);
+
+            if (data && data.length > 0) {
+                allActivities.push(...data);
+                offset += limit;
+                log(`Fetched ${allActivities.length} activities so far...`);
+
+                // If we received fewer than the limit, we're done
+                if (data.length < limit) {
+                    hasMore = false;
+                }
+            } else {
+                hasMore = false;
+            }
+        } catch (e) {
+            requestFailed('getCollectionActivities', e);
+            hasMore = false;
+        }
+    }
+
+    log(`Completed fetching ${Math.min(allActivities.length, maxActivities)} activities for collection: ${symbol}`);
+    return allActivities.slice(0, maxActivities);
+}
+
+/**
+ * Get all NFTs in a collection (both listed and unlisted)
+ * @param {string} symbol - Collection symbol
+ * @returns {Promise<Array>} Array of all NFT metadata
+ */
+async function getAllCollectionNFTs(symbol) {
+    const { nfts } = await syncCollectionNFTs(symbol);
+    return nfts;
+}
+
+/**
+ * Get the most recent activities of a single NFT, newest first
+ * @param {string} mintAddress - NFT mint address
+ * @returns {Promise<Array>} Raw activities, empty on failure
+ */
+async function getTokenActivities(mintAddress) {
+    try {
+        return await request('getTokenActivities', `${API}/tokens/${mintAddress}/activities?offset=0&limit=100`) || [];
+    } catch (e) {
+        requestFailed('getTokenActivities', e);
+        return [];
+    }
 }
 
 /**
@@ -153,11 +261,9 @@ async function getAllCollectionNFTs(symbol) {
  */
 async function getNFTMetadata(mintAddress) {
     try {
-        const url = `${API}/tokens/${mintAddress}`;
-        const { data } = await axios.get(url);
-        return data;
+        return await request('getNFTMetadata', `${API}/tokens/${mintAddress}`);
     } catch (e) {
-        await requestError('getNFTMetadata', e);
+        requestFailed('getNFTMetadata', e);
         return null;
     }
 }
@@ -166,6 +272,10 @@ module.exports = {
     getCollectionInfo,
     getCollectionStats,
     getCollectionListings,
+    getCollectionActivities,
+    syncCollectionNFTs,
     getAllCollectionNFTs,
-    getNFTMetadata
-}; 
+    getNFTMetadata,
+    getTokenActivities,
+    getRequestStats
+};
@@ -0,0 +1,226 @@
+const config = require('config');
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const { getFixtureMode, saveFixture, loadFixture } = require('./fixtures');
+const log = createLogger('api');
+
+const settings = config.magiceden;
+const RATE = settings.requestsPerSecond;
+const BURST = settings.burst || RATE;
+const CONCURRENCY = settings.concurrency || 1;
+const TIMEOUT_MS = settings.timeoutMs || 15000;
+const RETRY = {
+    maxRetries: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    ...(settings.retry || {})
+};
+
+// Network errors worth retrying, alongside 429 and 5xx responses
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+// Requests waiting for a concurrency slot and a rate limit token
+const queue = [];
+let active = 0;
+let tokens = BURST;
+let lastRefill = Date.now();
+let refillTimer = null;
+
+// Per-endpoint request counters
+const stats = {};
+
+// Record or replay API responses (see fixtures.js)
+const FIXTURE_MODE = getFixtureMode();
+
+/**
+ * Get the counters for an endpoint, creating them on first use
+ * @param {string} endpoint - Endpoint name
+ * @returns {Object} Endpoint counters
+ */
+function endpointStats(endpoint) {
+    if (!stats[endpoint]) {
+        stats[endpoint] = {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            retries: 0,
+            rateLimited: 0,
+            timeouts: 0,
+            statuses: {}
+        };
+    }
+    return stats[endpoint];
+}
+
+/**
+ * Add tokens to the bucket for the time passed since the last refill
+ */
+function refill() {
+    const now = Date.now();
+    tokens = Math.min(BURST, tokens + ((now - lastRefill) / 1000) * RATE);
+    lastRefill = now;
+}
+
+/**
+ * Start as many queued requests as the concurrency limit and the token bucket allow
+ * When requests are left waiting for tokens, try again once the next token is due
+ */
+function drain() {
+    refill();
+    while (queue.length > 0 && active < CONCURRENCY && tokens >= 1) {
+        tokens -= 1;
+        active++;
+        queue.shift()();
+    }
+
+    if (queue.length > 0 && active < CONCURRENCY && !refillTimer) {
+        const waitMs = Math.ceil(((1 - tokens) / RATE) * 1000);
+        refillTimer = setTimeout(() => {
+            refillTimer = null;
+            drain();
+        }, waitMs);
+    }
+}
+
+/**
+ * Wait for a concurrency slot and a rate limit token
+ * @returns {Promise<void>}
+ */
+function acquire() {
+    return new Promise(resolve => {
+        queue.push(resolve);
+        drain();
+    });
+}
+
+/**
+ * Release a concurrency slot
+ */
+function release() {
+    active--;
+    drain();
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string} [header] - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) {
+        return null;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {Error} err - Error from axios
+ * @returns {boolean} Whether the error is a rate limit, server error or timeout
+ */
+function isRetryable(err) {
+    const status = err.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    return RETRYABLE_CODES.includes(err.code);
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with full jitter,
+ * but never shorter than the server's Retry-After
+ * @param {number} attempt - Number of the failed attempt, starting at 0
+ * @param {Error} err - Error from axios
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, err) {
+    const ceiling = Math.min(RETRY.maxDelayMs, RETRY.baseDelayMs * 2 ** attempt);
+    const jittered = Math.random() * ceiling;
+    const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+    return retryAfter !== null ? Math.max(retryAfter, jittered) : jittered;
+}
+
+/**
+ * Make a GET request through the shared pool, rate limit and retry policy
+ * In replay mode the response comes from its fixture, and in record mode it is saved to one
+ * @param {string} endpoint - Endpoint name used for counters and logs
+ * @param {string} url - Request URL
+ * @returns {Promise<any>} Response data
+ * @throws {Error} The last error once retries are exhausted or the error is not retryable
+ */
+async function request(endpoint, url) {
+    const counters = endpointStats(endpoint);
+
+    if (FIXTURE_MODE === 'replay') {
+        counters.requests++;
+        try {
+            const data = loadFixture(url);
+            counters.successes++;
+            return data;
+        } catch (e) {
+            counters.failures++;
+            throw e;
+        }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await acquire();
+        counters.requests++;
+
+        let err;
+        try {
+            const { data, status } = await axios.get(url, { timeout: TIMEOUT_MS });
+            counters.successes++;
+            counters.statuses[status] = (counters.statuses[status] || 0) + 1;
+            if (FIXTURE_MODE === 'record') {
+                saveFixture(url, data);
+            }
+            return data;
+        } catch (e) {
+            err = e;
+        } finally {
+            release();
+        }
+
+        // Count network errors under their error code, as failures without a response
+        const status = err.response?.status;
+        const outcome = status || err.code || 'error';
+        counters.statuses[outcome] = (counters.statuses[outcome] || 0) + 1;
+        if (status === 429) {
+            counters.rateLimited++;
+        }
+        if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') {
+            counters.timeouts++;
+        }
+
+        if (!isRetryable(err) || attempt >= RETRY.maxRetries) {
+            counters.failures++;
+            throw err;
+        }
+
+        const delay = backoffDelay(attempt, err);
+        counters.retries++;
+        log.warn(endpoint, status || err.code, `retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${RETRY.maxRetries})`, url);
+        await new Promise(res => setTimeout(res, delay));
+    }
+}
+
+/**
+ * Get the per-endpoint request counters
+ * @returns {Object} Map of endpoint names to counters
+ */
+function getRequestStats() {
+    return JSON.parse(JSON.stringify(stats));
+}
+
+module.exports = {
+    request,
+    getRequestStats
+};
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+/**
+ * Command line interface
+ * Usage: rare-sniper <command> [arguments] [options]
+ *
+ * Config overrides given with --set are merged into NODE_CONFIG before any module loads
+ * the config, so the commands are only required once the arguments are parsed.
+ */
+
+// Flags that take no value; every other flag takes the next argument (or --flag=value)
+const BOOLEAN_FLAGS = ['help', 'once', 'full-sync', 'export', 'server'];
+const VALUE_FLAGS = ['set', 'watchlist', 'top', 'channel', 'format', 'out', 'archive', 'save', 'threshold', 'variants'];
+const SHORT_FLAGS = { h: 'help', s: 'set' };
+
+/**
+ * Convert a flag name to the key it is stored under
+ * @param {string} name - Flag name, such as full-sync
+ * @returns {string} camelCase key, such as fullSync
+ */
+function flagKey(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @returns {Object} Positional arguments and flags; --set values are collected in flags.set
+ * @throws {Error} On unknown flags or flags missing their value
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = { set: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            continue;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const name = arg.startsWith('--') ? rawName : SHORT_FLAGS[rawName];
+        if (BOOLEAN_FLAGS.includes(name)) {
+            flags[flagKey(name)] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            if (name === 'set') {
+                flags.set.push(value);
+            } else {
+                flags[flagKey(name)] = value;
+            }
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return { positionals, flags };
+}
+
+/**
+ * Parse a config override value: JSON when it parses (numbers, booleans, arrays, objects), else a string
+ * @param {string} value - Value from the command line
+ * @returns {any} Parsed value
+ */
+function parseValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Merge --set key.path=value overrides into NODE_CONFIG
+ * @param {Array<string>} overrides - Overrides in key.path=value form
+ * @throws {Error} On overrides without a key or value
+ */
+function applyConfigOverrides(overrides) {
+    if (overrides.length === 0) {
+        return;
+    }
+
+    const nodeConfig = process.env.NODE_CONFIG ? JSON.parse(process.env.NODE_CONFIG) : {};
+    overrides.forEach(override => {
+        const separator = override.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid config override "${override}", expected key.path=value`);
+        }
+
+        const keys = override.slice(0, separator).split('.');
+        const last = keys.pop();
+        let target = nodeConfig;
+        keys.forEach(key => {
+            if (typeof target[key] !== 'object' || target[key] === null) {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[last] = parseValue(override.slice(separator + 1));
+    });
+    process.env.NODE_CONFIG = JSON.stringify(nodeConfig);
+}
+
+/**
+ * Build the help text
+ * @param {Object} commands - Command registry
+ * @param {string} [commandName] - Show the help of a single command
+ * @returns {string} Help text
+ */
+function helpText(commands, commandName) {
+    const command = commands[commandName];
+    if (command) {
+        return [
+            `Usage: rare-sniper ${command.usage}`,
+            '',
+            command.description,
+            ...(command.help ? ['', command.help] : []),
+            '',
+            'Options:',
+            '  -s, --set <key.path=value>  Override a config value, e.g. --set raritySettings.percentThreshold=0.5',
+            '  -h, --help                  Show help'
+        ].join('\n');
+    }
+
+    const width = Math.max(...Object.keys(commands).map(name => name.length));
+    return [
+        'Usage: rare-sniper <command> [arguments] [options]',
+        '',
+        'Commands:',
+        ...Object.entries(commands).map(([name, entry]) => `  ${name.padEnd(width)}  ${entry.description}`),
+        '',
+        'Options:',
+        '  -s, --set <key.path=value>  Override a config value (repeatable); values are parsed as JSON when possible',
+        '  -h, --help                  Show help, or help for a command with <command> --help',
+        '',
+        'Run rare-sniper <command> --help for the arguments of a command. Without a command,',
+        'the arguments are collection symbols to watch: rare-sniper mkrs'
+    ].join('\n');
+}
+
+/**
+ * Run the command line interface
+ * Resolves once the command is done; the process exits with the command's status code,
+ * except for commands that keep running (such as watch). An invalid config exits with status 2.
+ * @param {Array<string>} argv - Arguments, without the node and script paths
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        applyConfigOverrides(args.flags.set);
+    } catch (error) {
+        console.error(error.message);
+        console.error('Run rare-sniper --help for usage');
+        process.exit(2);
+    }
+
+    const [first, ...rest] = args.positionals;
+
+    // Stop on a mistyped or invalid config before any module acts on it; help still works
+    if (!args.flags.help && first !== 'help') {
+        const { checkConfig } = require('./utils/schema');
+        try {
+            checkConfig();
+        } catch (error) {
+            console.error(error.message);
+            process.exit(2);
+        }
+    }
+
+    const { COMMANDS } = require('./commands');
+
+    if (first === 'help' || (!first && args.flags.help)) {
+        console.log(helpText(COMMANDS, rest[0]));
+        process.exit(0);
+    }
+
+    // Plain collection symbols watch them, as the original entry point did
+    const commandName = COMMANDS[first] ? first : 'watch';
+    const positionals = COMMANDS[first] ? rest : args.positionals;
+    if (args.flags.help) {
+        console.log(helpText(COMMANDS, commandName));
+        process.exit(0);
+    }
+
+    const { createLogger } = require('./utils/logger');
+    const log = createLogger('cli');
+
+    try {
+        const code = await COMMANDS[commandName].run({ positionals, flags: args.flags });
+        if (code !== undefined) {
+            process.exit(code);
+        }
+    } catch (error) {
+        log.error(`Error running ${commandName}:`, error);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArgs,
+    applyConfigOverrides,
+    main
+};
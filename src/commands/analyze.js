@@ -0,0 +1,82 @@
+const { createLogger } = require('../utils/logger');
+const { initCache } = require('../utils/cache');
+const { buildWatchlist } = require('../utils/watchlist');
+const { syncCollection } = require('../utils/sync');
+const { normalizeNFT, countTraits, findRareNFTs } = require('../utils/analyzer');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Print the trait table of a collection: every value of every trait type, rarest first
+ * @param {Object} traitAnalysis - Result from countTraits
+ * @param {Object} settings - Rarity settings
+ */
+function printTraitTable(traitAnalysis, settings) {
+    const { traitTypes, traitCounts } = traitAnalysis;
+    traitTypes.forEach(type => {
+        console.log(`\n${type}`);
+        Object.entries(traitCounts[type])
+            .sort(([, a], [, b]) => a.count - b.count)
+            .forEach(([value, { count, percentage }]) => {
+                const rare = (settings.oneOfOneThreshold && count === 1) || percentage <= settings.percentThreshold;
+                console.log(`  ${value.padEnd(30)} ${String(count).padStart(6)} ${`${percentage}%`.padStart(8)}${rare ? '  rare' : ''}`);
+            });
+    });
+}
+
+/**
+ * Print the top ranked NFTs of a collection
+ * @param {Array} nfts - Normalized NFTs scored with findRareNFTs
+ * @param {number} top - Number of NFTs to print
+ */
+function printTopRanked(nfts, top) {
+    console.log(`\nTop ${top} by rarity rank`);
+    [...nfts]
+        .sort((a, b) => a.rarityRank - b.rarityRank)
+        .slice(0, top)
+        .forEach(nft => {
+            const rareTraits = Object.entries(nft.rarity)
+                .filter(([, details]) => details.rare)
+                .map(([type, details]) => `${type}: ${details.value}`);
+            console.log(`  #${String(nft.rarityRank).padEnd(6)} ${String(nft.rarityScore).padStart(10)}  ${nft.name} (${nft.mintAddress})${rareTraits.length > 0 ? ` - ${rareTraits.join(', ')}` : ''}`);
+        });
+}
+
+/**
+ * Print the rarity table of a collection
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Collection symbol
+ * @param {Object} args.flags - Flags, with top
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals, flags }) {
+    const [entry] = buildWatchlist(positionals.slice(0, 1));
+    if (!entry) {
+        log('Usage: rare-sniper analyze <symbol> [--top <n>]');
+        return 1;
+    }
+
+    await initCache();
+    const marketplace = getMarketplace(entry.marketplace);
+    const allNFTs = await syncCollection(marketplace, entry.symbol);
+    const nfts = allNFTs.map(nft => normalizeNFT(nft)).filter(nft => nft !== null);
+    if (nfts.length === 0) {
+        log(`No NFTs found for collection: ${entry.symbol}`);
+        return 1;
+    }
+
+    const traitAnalysis = countTraits(nfts, entry.settings);
+    const rareNFTs = findRareNFTs(nfts, traitAnalysis, entry.settings);
+
+    console.log(`\n${entry.symbol}: ${traitAnalysis.totalNFTs} NFTs, ${traitAnalysis.traitTypes.length} trait types, ${rareNFTs.length} rare (${traitAnalysis.scoringMethod} scoring)`);
+    printTraitTable(traitAnalysis, entry.settings);
+    printTopRanked(nfts, Number(flags.top) || 20);
+    return 0;
+}
+
+module.exports = {
+    usage: 'analyze <symbol> [--top <n>]',
+    description: "Print a collection's trait rarity table and its top ranked NFTs",
+    help: 'Uses the cached collection data, syncing it first if needed. --top sets how many ranked NFTs to print (default 20).',
+    run
+};
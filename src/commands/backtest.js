@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const { initCache } = require('../utils/cache');
+const { buildWatchlist } = require('../utils/watchlist');
+const { validateWatchlistEntry } = require('../utils/schema');
+const { syncCollection } = require('../utils/sync');
+const { loadArchive, saveArchive, runBacktest } = require('../utils/backtest');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Build the settings variants to backtest: the collection's configured settings, one
+ * variant per --threshold value, and the variants in a --variants file
+ * A variants file is a JSON array of objects with an optional name and any rarity, price
+ * or alert setting overrides, like a watchlist entry
+ * @param {Object} entry - Resolved watchlist entry
+ * @param {Object} flags - Flags, with threshold and variants
+ * @returns {Array|null} Variants with name and merged settings, or null if one is invalid
+ */
+function buildVariants(entry, flags) {
+    const variants = [{ name: 'config', settings: entry.settings }];
+
+    if (flags.threshold) {
+        const thresholds = String(flags.threshold).split(',').map(value => value.trim()).filter(value => value);
+        for (const threshold of thresholds) {
+            const percentThreshold = Number(threshold);
+            if (!Number.isFinite(percentThreshold) || percentThreshold < 0 || percentThreshold > 100) {
+                log.error(`Invalid --threshold value: ${threshold} (expected a percentage from 0 to 100)`);
+                return null;
+            }
+            variants.push({ name: `percentThreshold=${percentThreshold}`, settings: { ...entry.settings, percentThreshold } });
+        }
+    }
+
+    if (flags.variants) {
+        const resolvedPath = path.resolve(process.cwd(), flags.variants);
+        let overrides;
+        try {
+            overrides = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (error) {
+            log.error(`Error loading variants ${resolvedPath}:`, error);
+            return null;
+        }
+        if (!Array.isArray(overrides)) {
+            log.error(`Variants file ${resolvedPath} must contain an array of setting overrides`);
+            return null;
+        }
+
+        for (const [index, { name, ...settings }] of overrides.entries()) {
+            const errors = validateWatchlistEntry({ symbol: entry.symbol, ...settings });
+            if (errors.length > 0) {
+                log.error(`Invalid settings in variant ${name || index + 1}: ${errors.join('; ')}`);
+                return null;
+            }
+            variants.push({ name: name || `Variant ${index + 1}`, settings: { ...entry.settings, ...settings } });
+        }
+    }
+
+    return variants;
+}
+
+/**
+ * Format a time for the report
+ * @param {number|null} time - Time in milliseconds
+ * @returns {string} Date and time in UTC, or - without a time
+ */
+function formatTime(time) {
+    return time ? new Date(time).toISOString().slice(0, 16).replace('T', ' ') : '-';
+}
+
+/**
+ * Format a percentage for the report
+ * @param {number|null} value - Percentage
+ * @returns {string} Percentage, or - without a value
+ */
+function formatPercent(value) {
+    return value === null ? '-' : `${value}%`;
+}
+
+/**
+ * Print the summary of every variant, then the alerts of each
+ * @param {Array} results - Variants with their backtest result
+ * @param {Object} marketplace - Marketplace adapter, to format prices
+ * @param {number} top - Alerts to print per variant
+ */
+function printResults(results, marketplace, top) {
+    console.log(`\n${'Variant'.padEnd(28)} ${'Alerts'.padStart(7)} ${'NFTs'.padStart(6)} ${'Sold'.padStart(6)} ${'Avg discount'.padStart(13)} ${'Avg realized'.padStart(13)}`);
+    results.forEach(({ name, summary }) => {
+        console.log(`${name.padEnd(28)} ${String(summary.alerts).padStart(7)} ${String(summary.nfts).padStart(6)} ${String(summary.sold).padStart(6)} ${formatPercent(summary.averageDiscountPercent).padStart(13)} ${formatPercent(summary.averageRealizedDiscountPercent).padStart(13)}`);
+    });
+
+    results.forEach(({ name, alerts }) => {
+        if (alerts.length === 0) {
+            return;
+        }
+        console.log(`\n${name}: ${alerts.length} alerts${alerts.length > top ? `, first ${top} shown` : ''}`);
+        alerts.slice(0, top).forEach(alert => {
+            const sold = alert.soldAt
+                ? `sold ${marketplace.formatPrice(alert.soldPrice)} on ${formatTime(alert.soldAt)} (realized discount ${formatPercent(alert.realizedDiscountPercent)})`
+                : 'not sold';
+            console.log(`  ${formatTime(alert.alertedAt)}  ${alert.name} (#${alert.rarityRank}) at ${marketplace.formatPrice(alert.price)}, floor ${marketplace.formatPrice(alert.floorPrice)} (discount ${formatPercent(alert.discountPercent)}) [${alert.rule}] - ${sold}`);
+        });
+    });
+}
+
+/**
+ * Replay a collection's listing history and report what each settings variant would have alerted
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Collection symbol
+ * @param {Object} args.flags - Flags, with archive, save, threshold, variants, top and out
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals, flags }) {
+    const [entry] = buildWatchlist(positionals.slice(0, 1));
+    if (!entry) {
+        log('Usage: rare-sniper backtest <symbol> [--archive <file>] [--save <file>] [--threshold 1,2,5] [--variants <file>] [--top <n>] [--out <file>]');
+        return 1;
+    }
+
+    const variants = buildVariants(entry, flags);
+    if (!variants) {
+        return 1;
+    }
+
+    await initCache();
+    const marketplace = getMarketplace(entry.marketplace);
+
+    let activities;
+    if (flags.archive) {
+        const archive = loadArchive(flags.archive);
+        if (!archive) {
+            return 1;
+        }
+        activities = archive.activities;
+    } else {
+        activities = await marketplace.getActivities(entry.symbol, { maxActivities: config.backtest.maxActivities });
+    }
+    if (activities.length === 0) {
+        log(`No activities found for collection: ${entry.symbol}`);
+        return 1;
+    }
+    if (flags.save) {
+        saveArchive(flags.save, { symbol: entry.symbol, marketplace: marketplace.name, activities });
+    }
+
+    const allNFTs = await syncCollection(marketplace, entry.symbol);
+    if (allNFTs.length === 0) {
+        log(`No NFTs found for collection: ${entry.symbol}`);
+        return 1;
+    }
+
+    const times = activities.map(activity => activity.time);
+    const from = Math.min(...times);
+    const to = Math.max(...times);
+    log(`Replaying ${activities.length} activities from ${formatTime(from)} to ${formatTime(to)} against ${variants.length} settings variants`);
+
+    const results = variants.map(({ name, settings }) => ({ name, settings, ...runBacktest(allNFTs, activities, settings, marketplace) }));
+    printResults(results, marketplace, Number(flags.top) || 20);
+
+    if (flags.out) {
+        const outPath = path.resolve(process.cwd(), flags.out);
+        try {
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+            fs.writeFileSync(outPath, JSON.stringify({ collection: entry.symbol, marketplace: marketplace.name, from, to, activities: activities.length, variants: results }, null, 2));
+            log(`Wrote backtest results to ${outPath}`);
+        } catch (error) {
+            log.error(`Error writing backtest results ${outPath}:`, error);
+            return 1;
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    usage: 'backtest <symbol> [--archive <file>] [--save <file>] [--threshold 1,2,5] [--variants <file>] [--top <n>] [--out <file>]',
+    description: "Replay a collection's listing history and report what the alert settings would have alerted and what it sold for",
+    help: [
+        'Listings, delistings and sales are replayed oldest first and scanned every scanIntervalMinutes, as a watch would.',
+        'Activities come from the marketplace API (up to backtest.maxActivities, newest first) or from an archive written',
+        'with --save. The configured settings are always tested; --threshold adds a variant per percentThreshold value and',
+        '--variants a JSON array of { name, ...setting overrides }. Each alert is matched with the next sale of its NFT;',
+        'discounts are against the cheapest other listing at alert time. --out writes every alert as JSON.'
+    ].join('\n'),
+    run
+};
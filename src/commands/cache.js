@@ -0,0 +1,76 @@
+const { createLogger } = require('../utils/logger');
+const { initCache, getCacheStatus, clearCache } = require('../utils/cache');
+const { buildWatchlist } = require('../utils/watchlist');
+const { syncCollection } = require('../utils/sync');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Print the cache status of every cached collection, or of one
+ * @param {string} [symbol] - Collection symbol
+ * @returns {number} Exit code
+ */
+function status(symbol) {
+    const rows = getCacheStatus(symbol);
+    if (rows.length === 0) {
+        console.log(symbol ? `Nothing cached for ${symbol}` : 'Nothing cached');
+        return symbol ? 1 : 0;
+    }
+
+    rows.forEach(row => {
+        const synced = row.syncedAt ? new Date(row.syncedAt).toISOString() : 'never';
+        console.log(`${row.symbol}${row.name ? ` (${row.name})` : ''}: ${row.tokens} NFTs, synced ${synced}${row.expired ? ' (expired)' : ''}, ${row.hasCursor ? 'incremental sync ready' : 'no sync cursor'}, ${row.seen} seen rare NFTs`);
+    });
+    return 0;
+}
+
+/**
+ * Sync a collection's cached data now
+ * @param {string} symbol - Collection symbol
+ * @param {boolean} full - Rebuild the cache from scratch
+ * @returns {Promise<number>} Exit code
+ */
+async function refresh(symbol, full) {
+    const [entry] = buildWatchlist([symbol]);
+    if (!entry) {
+        return 1;
+    }
+    const nfts = await syncCollection(getMarketplace(entry.marketplace), entry.symbol, { full, refresh: true });
+    log(`Cache for ${entry.symbol} holds ${nfts.length} NFTs`);
+    return nfts.length > 0 ? 0 : 1;
+}
+
+/**
+ * Inspect or manage cached collection data
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Subcommand and collection symbol
+ * @param {Object} args.flags - Flags, with fullSync
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals, flags }) {
+    const [subcommand, symbol] = positionals;
+    if (!['status', 'clear', 'refresh'].includes(subcommand) || (subcommand !== 'status' && !symbol)) {
+        log(`Usage: rare-sniper ${module.exports.usage}`);
+        return 1;
+    }
+
+    await initCache({ readOnly: subcommand === 'status' });
+    if (subcommand === 'status') {
+        return status(symbol);
+    }
+    if (subcommand === 'clear') {
+        return clearCache(symbol) ? 0 : 1;
+    }
+    return refresh(symbol, Boolean(flags.fullSync));
+}
+
+module.exports = {
+    usage: 'cache status [symbol] | cache clear <symbol> | cache refresh <symbol> [--full-sync]',
+    description: 'Show, clear or refresh cached collection data',
+    help: [
+        'status   Cached NFT count, last sync and expiry of each cached collection',
+        'clear    Remove a collection\'s cached NFTs so the next scan fetches them again',
+        'refresh  Sync new collection activity now, or rebuild the cache with --full-sync'
+    ].join('\n'),
+    run
+};
@@ -0,0 +1,49 @@
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const { initCache } = require('../utils/cache');
+const { buildWatchlist } = require('../utils/watchlist');
+const { buildReport, exportReports, getExportFormats } = require('../utils/export');
+const { analyzeCollection, createCollection } = require('../index');
+const log = createLogger('cli');
+
+/**
+ * Write a collection's rarity reports without alerting
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Collection symbol
+ * @param {Object} args.flags - Flags, with format and out
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals, flags }) {
+    const [entry] = buildWatchlist(positionals.slice(0, 1));
+    if (!entry) {
+        log('Usage: rare-sniper export <symbol> [--format csv,json,html] [--out <dir>]');
+        return 1;
+    }
+
+    const formats = getExportFormats(flags.format || config.export.formats);
+    if (formats.length === 0) {
+        log('No export formats given');
+        return 1;
+    }
+
+    await initCache({ readOnly: true });
+    const collection = createCollection(entry, { exportReports: false });
+    const analysis = await analyzeCollection(collection);
+    if (!analysis) {
+        return 1;
+    }
+
+    const files = exportReports(buildReport(analysis, collection.marketplace), { formats, dir: flags.out || config.export.dir });
+    return files.length > 0 ? 0 : 1;
+}
+
+module.exports = {
+    usage: 'export <symbol> [--format csv,json,html] [--out <dir>]',
+    description: "Write a collection's rarity ranking, rare listings and trait distribution as CSV, JSON or HTML",
+    help: [
+        'CSV writes <symbol>-<time>-rankings.csv, -listings.csv and -traits.csv; JSON and HTML write one file each.',
+        'The HTML report is a single page with the NFT images and marketplace links. No alerts are sent.',
+        'Formats default to export.formats and the directory to export.dir in config.'
+    ].join('\n'),
+    run
+};
@@ -0,0 +1,20 @@
+/**
+ * CLI commands, keyed by name. Each command exports its usage line, a one-line
+ * description, optional longer help, and run({ positionals, flags }) resolving to
+ * the process exit code, or to undefined for commands that keep running.
+ */
+const COMMANDS = {
+    watch: require('./watch'),
+    scan: require('./scan'),
+    analyze: require('./analyze'),
+    export: require('./export'),
+    backtest: require('./backtest'),
+    cache: require('./cache'),
+    seen: require('./seen'),
+    outcomes: require('./outcomes'),
+    notify: require('./notify')
+};
+
+module.exports = {
+    COMMANDS
+};
@@ -0,0 +1,70 @@
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const { CHANNELS, getEnabledChannels } = require('../utils/notifications');
+const { buildRareMessage } = require('../notifiers/message');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Build a sample rare NFT message
+ * @returns {Object} Rare NFT message
+ */
+function buildTestMessage() {
+    const nft = {
+        name: 'Rare Sniper Test #1',
+        mintAddress: 'RareSniperTestMint11111111111111111111111111',
+        image: 'https://magiceden.io/favicon.ico',
+        price: 1000000000,
+        seller: 'RareSniperTestSeller1111111111111111111111111',
+        rarityRank: 1,
+        rarityScore: 1,
+        priceToFloor: 1,
+        alertReason: 'Test notification',
+        matchedRule: 'Test',
+        rarity: {
+            Background: { value: 'Gold', count: 1, percentage: 0.01, rare: true, reason: 'One of one trait' }
+        }
+    };
+    return buildRareMessage([nft], { symbol: 'test', name: 'Rare Sniper Test', marketplace: getMarketplace() });
+}
+
+/**
+ * Send a test notification
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Subcommand
+ * @param {Object} args.flags - Flags, with channel
+ * @returns {Promise<number>} Exit code 0 if every channel delivered it
+ */
+async function run({ positionals, flags }) {
+    if (positionals[0] !== 'test') {
+        log(`Usage: rare-sniper ${module.exports.usage}`);
+        return 1;
+    }
+
+    let channels = getEnabledChannels();
+    if (flags.channel) {
+        if (!CHANNELS[flags.channel]) {
+            log(`Unknown notification channel: ${flags.channel} (available: ${Object.keys(CHANNELS).join(', ')})`);
+            return 1;
+        }
+        channels = [{ name: flags.channel, notifier: CHANNELS[flags.channel], options: config.notifications?.[flags.channel] || {} }];
+    }
+
+    if (channels.length === 0) {
+        log('No notification channels are enabled');
+        return 1;
+    }
+
+    const message = buildTestMessage();
+    const results = await Promise.all(channels.map(({ notifier, options }) => notifier.send(message, options)));
+    const sent = results.map(result => result?.delivered?.length === message.items.length);
+    channels.forEach(({ name }, index) => log(`${name}: ${sent[index] ? 'sent' : 'FAILED'}`));
+    return sent.every(Boolean) ? 0 : 1;
+}
+
+module.exports = {
+    usage: 'notify test [--channel <name>]',
+    description: 'Send a test notification to every enabled channel, or to one channel',
+    help: '--channel sends to that channel with its config even if it is not enabled.',
+    run
+};
@@ -0,0 +1,64 @@
+const { createLogger, elapsed } = require('../utils/logger');
+const { initCache } = require('../utils/cache');
+const { getAlertHistory, getOutcomeStats } = require('../utils/history');
+const { describeOutcome } = require('../utils/outcomes');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Format a duration for the statistics table
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Duration, or - without one
+ */
+function formatDuration(ms) {
+    return ms === null ? '-' : elapsed(Math.round(ms));
+}
+
+/**
+ * Print what happened to alerted listings: outcome statistics per collection, then the
+ * most recent resolved alerts
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Optional collection symbol
+ * @param {Object} args.flags - Flags, with top
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals, flags }) {
+    const [symbol] = positionals;
+    await initCache({ readOnly: true });
+
+    const stats = getOutcomeStats(symbol);
+    if (stats.length === 0) {
+        log(symbol ? `No tracked alerts for collection: ${symbol}` : 'No tracked alerts');
+        return 0;
+    }
+
+    console.log(`\n${'Collection'.padEnd(24)} ${'Tracked'.padStart(8)} ${'Open'.padStart(6)} ${'Sold'.padStart(6)} ${'Delisted'.padStart(9)} ${'Repriced'.padStart(9)} ${'Median sale'.padStart(12)} ${'<1m'.padStart(5)} ${'<10m'.padStart(5)} ${'<1h'.padStart(5)}`);
+    stats.forEach(row => {
+        console.log(`${row.collection.padEnd(24)} ${String(row.tracked).padStart(8)} ${String(row.open).padStart(6)} ${String(row.sold).padStart(6)} ${String(row.delisted).padStart(9)} ${String(row.priceChanged).padStart(9)} ${formatDuration(row.medianTimeToSaleMs).padStart(12)} ${String(row.soldWithin['1m']).padStart(5)} ${String(row.soldWithin['10m']).padStart(5)} ${String(row.soldWithin['1h']).padStart(5)}`);
+    });
+
+    const top = Number(flags.top) || 20;
+    const marketplace = getMarketplace();
+    const resolved = getAlertHistory(symbol, 1000)
+        .filter(alert => alert.outcome && alert.outcome !== 'untracked')
+        .slice(0, top);
+    if (resolved.length > 0) {
+        console.log(`\nLatest ${resolved.length} outcomes`);
+        resolved.forEach(alert => {
+            const description = describeOutcome({ ...alert, elapsedMs: alert.outcomeAt - alert.sentAt }, marketplace);
+            console.log(`  ${new Date(alert.sentAt).toISOString()}  ${alert.collection}  ${alert.name || alert.mintAddress} at ${marketplace.formatPrice(alert.price)} - ${description}`);
+        });
+    }
+    return 0;
+}
+
+module.exports = {
+    usage: 'outcomes [symbol] [--top <n>]',
+    description: 'Show what happened to alerted listings and how fast rare NFTs get taken',
+    help: [
+        'Alerted listings are tracked on later scans until they sell, are delisted, change price or outcomes.trackHours pass.',
+        'Prints per-collection counts with the median time to sale and sales within 1 minute, 10 minutes and 1 hour,',
+        'then the latest --top resolved alerts (default 20).'
+    ].join('\n'),
+    run
+};
@@ -0,0 +1,34 @@
+const { createLogger } = require('../utils/logger');
+const { Sniper } = require('../index');
+const log = createLogger('cli');
+
+/**
+ * Scan collections once and exit; --once is accepted but not needed
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Collection symbols
+ * @param {Object} args.flags - Flags, with watchlist, fullSync and export
+ * @returns {Promise<number>} Exit code 0 when every scan completed, otherwise 1
+ */
+async function run({ positionals, flags }) {
+    const sniper = new Sniper({ collections: positionals, watchlist: flags.watchlist, fullSync: flags.fullSync, exportReports: flags.export });
+    if (sniper.watchlist.length === 0) {
+        log('No collections to scan. Give collection symbols, --watchlist <file> or set watchlist.file in config');
+        return 1;
+    }
+
+    // Scan one collection after another
+    log(`Scanning ${sniper.watchlist.length} collections once: ${sniper.watchlist.map(entry => entry.symbol).join(', ')}`);
+    let allCompleted = true;
+    for (const { symbol } of sniper.watchlist) {
+        const completed = await sniper.scanOnce(symbol);
+        allCompleted = allCompleted && completed;
+    }
+    return allCompleted ? 0 : 1;
+}
+
+module.exports = {
+    usage: 'scan [symbol...] [--watchlist <file>] [--full-sync] [--export]',
+    description: 'Scan collections once and exit with status 0 if every scan completed, 1 otherwise',
+    help: 'Alerts are sent and recorded as in watch; use watch to keep scanning. --once is accepted for older scripts.\n--export writes the rarity reports of each scan.',
+    run
+};
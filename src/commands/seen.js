@@ -0,0 +1,68 @@
+const { createLogger } = require('../utils/logger');
+const { initCache, loadSeenRareNFTs, saveSeenRareNFTs } = require('../utils/cache');
+const { buildWatchlist } = require('../utils/watchlist');
+const { getMarketplace } = require('../marketplaces');
+const log = createLogger('cli');
+
+/**
+ * Print the seen rare NFTs of a collection
+ * @param {Object} entry - Watchlist entry
+ * @returns {number} Exit code
+ */
+function list(entry) {
+    const marketplace = getMarketplace(entry.marketplace);
+    const seen = loadSeenRareNFTs(entry.symbol);
+    seen.forEach(item => {
+        const notified = item.notifiedAt ? new Date(item.notifiedAt).toISOString() : 'unknown';
+        const delisted = item.delistedAt ? `, delisted ${new Date(item.delistedAt).toISOString()}` : '';
+        console.log(`${item.mintAddress}  ${marketplace.formatPrice(item.price)}  seller ${item.seller || 'unknown'}  alerted ${notified}${delisted}`);
+    });
+    return 0;
+}
+
+/**
+ * Forget seen rare NFTs of a collection so they can alert again
+ * @param {Object} entry - Watchlist entry
+ * @param {Array<string>} mints - Mint addresses to forget, or all when empty
+ * @returns {number} Exit code
+ */
+function reset(entry, mints) {
+    const seen = loadSeenRareNFTs(entry.symbol);
+    const before = seen.size;
+    if (mints.length === 0) {
+        seen.clear();
+    } else {
+        mints.forEach(mint => seen.delete(mint));
+    }
+
+    if (!saveSeenRareNFTs(entry.symbol, seen)) {
+        return 1;
+    }
+    log(`Forgot ${before - seen.size} seen rare NFTs for ${entry.symbol}`);
+    return 0;
+}
+
+/**
+ * List or reset seen rare NFTs
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Subcommand, collection symbol and mint addresses
+ * @returns {Promise<number>} Exit code
+ */
+async function run({ positionals }) {
+    const [subcommand, symbol, ...mints] = positionals;
+    const [entry] = symbol ? buildWatchlist([symbol]) : [];
+    if (!['list', 'reset'].includes(subcommand) || !entry) {
+        log(`Usage: rare-sniper ${module.exports.usage}`);
+        return 1;
+    }
+
+    await initCache({ readOnly: subcommand === 'list' });
+    return subcommand === 'list' ? list(entry) : reset(entry, mints);
+}
+
+module.exports = {
+    usage: 'seen list <symbol> | seen reset <symbol> [mint...]',
+    description: 'List the rare NFTs already alerted for a collection, or forget them',
+    help: 'reset forgets every seen rare NFT of the collection, or only the given mint addresses.',
+    run
+};
@@ -0,0 +1,52 @@
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const { Sniper } = require('../index');
+const { startServer } = require('../server');
+const log = createLogger('cli');
+
+/**
+ * Watch collections, scanning each on its own schedule until stopped
+ * @param {Object} args - Parsed arguments
+ * @param {Array<string>} args.positionals - Collection symbols
+ * @param {Object} args.flags - Flags, with watchlist, fullSync, export and server
+ * @returns {Promise<number|undefined>} Exit code 1 without collections, 2 for an invalid watchlist,
+ *   otherwise keeps running
+ */
+async function run({ positionals, flags }) {
+    let sniper;
+    try {
+        sniper = new Sniper({ collections: positionals, watchlist: flags.watchlist, fullSync: flags.fullSync, exportReports: flags.export });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (sniper.watchlist.length === 0) {
+        log('No collections to watch. Give collection symbols, --watchlist <file> or set watchlist.file in config');
+        return 1;
+    }
+
+    // Save the seen state of every collection before exiting
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, async () => {
+        log('Application terminating, saving data...');
+        await sniper.stop();
+        process.exit(0);
+    }));
+
+    await sniper.start();
+    if (flags.server || config.server.enabled) {
+        startServer(sniper);
+    }
+    return undefined;
+}
+
+module.exports = {
+    usage: 'watch [symbol...] [--watchlist <file>] [--full-sync] [--export] [--server]',
+    description: 'Watch collections and alert new rare listings (the default command)',
+    help: [
+        'Collections come from the symbols given, else the --watchlist file, else watchlist.file in config.',
+        '--full-sync rebuilds the cached collection data from scratch on the first scan.',
+        '--export writes the rarity reports after every scan, as set by export.formats and export.dir in config.',
+        '--server starts the dashboard and HTTP API on server.host and server.port from config.'
+    ].join('\n'),
+    run
+};
@@ -1,122 +1,265 @@
 require('dotenv').config();
+
+// Run directly, this file is the watch command (see the end of the file). Its --set overrides
+// must reach NODE_CONFIG before the config loads below; the CLI reports bad arguments when it runs
+if (require.main === module) {
+    const { parseArgs, applyConfigOverrides } = require('./cli');
+    try {
+        applyConfigOverrides(parseArgs(process.argv.slice(2)).flags.set);
+    } catch (error) {
+        // Reported by the CLI
+    }
+}
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const config = require('config');
-const meAPI = require('./api/magiceden');
 const { normalizeNFT, countTraits, findRareNFTs } = require('./utils/analyzer');
-const { log, elapsed } = require('./utils/logger');
-const { loadFromCache, saveToCache, loadSeenRareNFTs, saveSeenRareNFTs } = require('./utils/cache');
-const { sendRareSummaryDiscordNotification } = require('./utils/notifications');
+const { createLogger, withLogContext, elapsed } = require('./utils/logger');
+const { initCache, loadSeenRareNFTs, saveSeenRareNFTs } = require('./utils/cache');
+const { recordScan, recordAlerts } = require('./utils/history');
+const { batch } = require('./utils/database');
+const { recordScanMetrics } = require('./utils/metrics');
+const { syncCollection, joinListingMetadata } = require('./utils/sync');
+const { getEnabledChannels, sendRareNotifications, sendOutcomeNotifications, sendQueuedNotifications, getQueuedMints } = require('./utils/notifications');
+const { filterFloorDeals, buildTraitFloors, findUnderpricedNFTs } = require('./utils/pricing');
+const { markDelisted, getAlertReason, markNotified } = require('./utils/seen');
+const { applyAlertRules } = require('./utils/rules');
+const { trackOutcomes } = require('./utils/outcomes');
+const { getMarketplace } = require('./marketplaces');
+const { buildReport, exportReports, getExportFormats } = require('./utils/export');
+const { resolveWatchlist, buildWatchlist } = require('./utils/watchlist');
+const { checkConfig } = require('./utils/schema');
+const log = createLogger('scanner');
 
-// Cache to prevent duplicate notifications for the same rare NFTs
-let seenRareNFTs;
-// Flag to track if a scan is currently running
-let isScanRunning = false;
-// Current collection being processed
-let currentCollection = null;
+/**
+ * Emit a sniper event to an optional emitter
+ * An error event is only emitted when something listens for it, since an unhandled
+ * error event would throw out of the scan
+ * @param {EventEmitter|null} events - Event emitter, or null when nothing listens
+ * @param {string} name - Event name
+ * @param {...any} args - Event arguments
+ */
+function emit(events, name, ...args) {
+    if (events && (name !== 'error' || events.listenerCount('error') > 0)) {
+        events.emit(name, ...args);
+    }
+}
 
 /**
- * Process a single collection to find rare NFTs
- * @param {string} collectionSymbol - MagicEden collection symbol
+ * Analyze a collection: sync its NFTs, rank them, and find the rare and underpriced listings
+ * that its alert rules pick, without alerting them
+ * @param {Object} collection - Watched collection state
+ * @param {Object} [options] - Analysis options
+ * @param {Function} [options.onRefresh] - Called with the sync details when the collection's cached NFTs are refreshed
+ * @returns {Promise<Object|null>} Collection info and stats, trait analysis, all and listed
+ *   normalized NFTs and the listings to alert, or null if the collection has no NFTs
  */
-async function processCollection(collectionSymbol) {
-    const startTime = Date.now();
-    log(`Starting scan of collection: ${collectionSymbol}`);
+async function analyzeCollection(collection, { onRefresh } = {}) {
+    const { symbol: collectionSymbol, settings, marketplace } = collection;
+
+    // Get collection info and stats
+    const collectionInfo = await marketplace.getCollectionInfo(collectionSymbol);
+    if (!collectionInfo) {
+        log(`Collection not found: ${collectionSymbol}`);
+        return null;
+    }
 
-    try {
-        // Get collection info and stats
-        const collectionInfo = await meAPI.getCollectionInfo(collectionSymbol);
-        if (!collectionInfo) {
-            log(`Collection not found: ${collectionSymbol}`);
-            return;
-        }
+    log(`Processing collection: ${collectionInfo.name}`);
 
-        log(`Processing collection: ${collectionInfo.name}`);
+    // Get all NFTs in the collection for rarity analysis (from cache, incremental sync or full fetch)
+    const allNFTs = await syncCollection(marketplace, collectionSymbol, { full: collection.fullSync, onRefresh });
+    // A requested full rebuild only applies to the first scan
+    collection.fullSync = false;
 
-        // Get all NFTs in the collection for rarity analysis (from cache or API)
-        let allNFTs = [];
+    if (!allNFTs || allNFTs.length === 0) {
+        log(`No NFTs found for collection: ${collectionSymbol}`);
+        return null;
+    }
 
-        // Try to load from cache first
-        const cachedNFTs = loadFromCache(collectionSymbol);
-        if (cachedNFTs && cachedNFTs.length > 0) {
-            allNFTs = cachedNFTs;
-            log(`Using cached data for collection ${collectionSymbol}`);
-        } else {
-            // Cache miss or disabled - fetch from API
-            log(`Fetching all NFTs in the collection for accurate rarity analysis...`);
-            allNFTs = await meAPI.getAllCollectionNFTs(collectionSymbol);
+    // Now fetch only the listed NFTs
+    log(`Fetching currently listed NFTs...`);
+    const listings = await marketplace.getListings(collectionSymbol);
 
-            // Save to cache if we have data and caching is enabled
-            if (allNFTs && allNFTs.length > 0) {
-                saveToCache(collectionSymbol, allNFTs);
-            }
-        }
+    if (listings.length === 0) {
+        log(`No listed NFTs found for collection: ${collectionSymbol}`);
+    }
 
-        if (!allNFTs || allNFTs.length === 0) {
-            log(`No NFTs found for collection: ${collectionSymbol}`);
-            return;
+    // Get the current floor price to judge how good a deal each rare listing is
+    const collectionStats = await marketplace.getCollectionStats(collectionSymbol);
+    if (collectionStats) {
+        const floor = collectionStats.floorPrice ? marketplace.formatPrice(collectionStats.floorPrice) : 'unknown';
+        log(`Collection floor: ${floor}, listed count: ${collectionStats.listedCount}`);
+    }
+
+    // Join listings with the collection's metadata; listed NFTs missing from the
+    // collection are fetched and added to it before the rarity analysis
+    log(`Found ${listings.length} listed NFTs, matching them with collection metadata...`);
+    const listingMetadata = await joinListingMetadata(marketplace, collectionSymbol, listings, allNFTs);
+
+    // Normalize all NFTs for trait analysis
+    const normalizedAllNFTs = allNFTs
+        .map(nft => normalizeNFT(nft))
+        .filter(nft => nft !== null);
+
+    log(`Normalized ${normalizedAllNFTs.length} NFTs from the entire collection`);
+
+    // Calculate trait rarity based on the entire collection
+    const traitAnalysis = countTraits(normalizedAllNFTs, settings);
+    log(`Completed rarity analysis for the entire collection`);
+
+    // Normalize the listed NFTs
+    const normalizedListedNFTs = [];
+    listingMetadata.forEach(({ listing, metadata }) => {
+        const normalized = normalizeNFT(metadata);
+        if (normalized) {
+            // Add price info from listing
+            normalized.price = listing.price;
+            normalized.seller = listing.seller;
+            normalizedListedNFTs.push(normalized);
         }
+    });
 
-        // Normalize all NFTs for trait analysis
-        const normalizedAllNFTs = allNFTs
-            .map(nft => normalizeNFT(nft))
-            .filter(nft => nft !== null);
+    log(`Normalized ${normalizedListedNFTs.length} listed NFTs`);
 
-        log(`Normalized ${normalizedAllNFTs.length} NFTs from the entire collection`);
+    // Find rare NFTs among the listings, using the rarity analysis from the entire collection
+    const rareNFTs = findRareNFTs(normalizedListedNFTs, traitAnalysis, settings);
 
-        // Calculate trait rarity based on the entire collection
-        const traitAnalysis = countTraits(normalizedAllNFTs);
-        log(`Completed rarity analysis for the entire collection`);
+    // Only keep rare NFTs priced under their allowed multiple of floor
+    const floorDeals = filterFloorDeals(rareNFTs, collectionStats, traitAnalysis.totalNFTs, settings);
+    if (floorDeals.length < rareNFTs.length) {
+        log(`Skipped ${rareNFTs.length - floorDeals.length} rare NFTs priced too far above floor`);
+    }
 
-        // Now fetch only the listed NFTs
-        log(`Fetching currently listed NFTs...`);
-        const listedNFTs = await meAPI.getCollectionListings(collectionSymbol);
+    // Find listings priced below the floor of their most valuable rare trait, within the same floor multiple
+    const traitFloors = buildTraitFloors(normalizedListedNFTs, traitAnalysis);
+    const underpricedNFTs = findUnderpricedNFTs(normalizedListedNFTs, traitFloors, collectionStats?.floorPrice ?? null, settings);
+    if (underpricedNFTs.length > 0) {
+        log(`Found ${underpricedNFTs.length} listed NFTs priced below their trait floor`);
+        filterFloorDeals(underpricedNFTs, collectionStats, traitAnalysis.totalNFTs, settings).forEach(nft => {
+            if (!floorDeals.includes(nft)) {
+                floorDeals.push(nft);
+            }
+        });
+    }
 
-        if (!listedNFTs || listedNFTs.length === 0) {
-            log(`No listed NFTs found for collection: ${collectionSymbol}`);
-            return;
+    // The collection's alert rules narrow down the rare and underpriced listings found above;
+    // without rules, all of them are alerted
+    const rareListedNFTs = applyAlertRules(floorDeals, settings.alertRules, marketplace);
+
+    return {
+        collectionInfo,
+        collectionStats,
+        listingCount: listings.length,
+        traitAnalysis,
+        allNFTs: normalizedAllNFTs,
+        listedNFTs: normalizedListedNFTs,
+        rareListedNFTs
+    };
+}
+
+/**
+ * Process a single collection to find rare NFTs
+ * Every line logged during the scan, by any module, carries the collection symbol and a scan id,
+ * and the scan's database changes are written to disk once, when it ends
+ * @param {Object} collection - Watched collection state
+ * @param {EventEmitter} [events] - Emitter for the scan's events, such as a Sniper
+ * @returns {Promise<boolean>} Whether the scan completed
+ */
+function processCollection(collection, events = null) {
+    const scanId = crypto.randomBytes(4).toString('hex');
+    return withLogContext({ collection: collection.symbol, scanId }, () => batch(() => scanCollection(collection, scanId, events)));
+}
+
+/**
+ * Scan a collection: analyze it, record the scan and alert new rare listings
+ * @param {Object} collection - Watched collection state
+ * @param {string} scanId - Scan id
+ * @param {EventEmitter|null} events - Emitter for the scan's events
+ * @returns {Promise<boolean>} Whether the scan completed
+ */
+async function scanCollection(collection, scanId, events) {
+    const { symbol: collectionSymbol, settings, seenRareNFTs, marketplace } = collection;
+    const startTime = Date.now();
+    let completed = false;
+    // Listing counts of the scan, for metrics
+    const scanCounts = {};
+    log(`Starting scan of collection: ${collectionSymbol}`);
+    emit(events, 'scanStart', { symbol: collectionSymbol, scanId, startedAt: startTime });
+
+    try {
+        const analysis = await analyzeCollection(collection, {
+            onRefresh: details => emit(events, 'cacheRefreshed', { symbol: collectionSymbol, ...details })
+        });
+        if (!analysis) {
+            return false;
+        }
+        const { collectionInfo, collectionStats, traitAnalysis, listedNFTs: normalizedListedNFTs, rareListedNFTs } = analysis;
+        scanCounts.listings = analysis.listingCount;
+        scanCounts.rareListings = rareListedNFTs.length;
+
+        // Record how this scan's listings changed, for price history
+        recordScan(collectionSymbol, {
+            name: collectionInfo.name,
+            startedAt: startTime,
+            completedAt: Date.now(),
+            floorPrice: collectionStats?.floorPrice,
+            listedCount: collectionStats?.listedCount ?? analysis.listingCount
+        }, normalizedListedNFTs);
+
+        // Write the scan's reports when exports are enabled for every scan
+        const report = buildReport(analysis, marketplace);
+        if (collection.exportFormats.length > 0) {
+            exportReports(report, { formats: collection.exportFormats });
         }
 
-        log(`Found ${listedNFTs.length} listed NFTs, fetching detailed metadata...`);
-
-        // Fetch detailed metadata for each listed NFT and normalize data
-        const normalizedListedNFTs = [];
-        for (const listing of listedNFTs) {
-            const nftDetails = await meAPI.getNFTMetadata(listing.tokenMint);
-            if (nftDetails) {
-                const normalized = normalizeNFT(nftDetails);
-                if (normalized) {
-                    // Add price info from listing
-                    normalized.price = listing.price;
-                    normalized.seller = listing.seller;
-                    normalizedListedNFTs.push(normalized);
-                }
+        // Keep the scan's rare listings and trait distribution for the HTTP API, without the full ranking
+        const { rankings, ...latest } = report;
+        collection.latest = latest;
+
+        // Find out what happened to listings alerted by earlier scans, with optional follow-up notifications
+        if (config.outcomes.enabled) {
+            const outcomes = await trackOutcomes(collectionSymbol, analysis, marketplace);
+            const followUps = config.outcomes.notify
+                ? outcomes.filter(outcome => config.outcomes.notifyOutcomes.includes(outcome.outcome))
+                : [];
+            if (followUps.length > 0) {
+                await sendOutcomeNotifications(followUps, { symbol: collectionSymbol, name: collectionInfo.name, marketplace });
             }
         }
 
-        log(`Normalized ${normalizedListedNFTs.length} listed NFTs`);
+        // Send due digests and retries of notifications earlier scans failed to deliver, and remember the ones that left the queue
+        const scanTime = Date.now();
+        const dequeued = await sendQueuedNotifications(collectionSymbol, normalizedListedNFTs, scanTime);
+        dequeued.forEach(item => markNotified(seenRareNFTs, item, scanTime));
+        const queuedMints = getQueuedMints(collectionSymbol);
 
-        // Find rare NFTs among the listings, using the rarity analysis from the entire collection
-        const rareListedNFTs = findRareNFTs(normalizedListedNFTs, traitAnalysis);
+        // Note when previously alerted NFTs leave the market, so a later relist can alert again
+        markDelisted(seenRareNFTs, new Set(normalizedListedNFTs.map(nft => nft.mintAddress)), scanTime);
 
         if (rareListedNFTs.length > 0) {
-            log(`Found ${rareListedNFTs.length} rare listed NFTs in collection ${collectionInfo.name}:`);
+            log(`Found ${rareListedNFTs.length} rare or underpriced listed NFTs in collection ${collectionInfo.name}:`);
             let newRareNFTsFound = 0;
             const newRareNFTs = [];
 
             rareListedNFTs.forEach(nft => {
-                // Skip if we've seen this NFT before
-                if (seenRareNFTs.has(nft.mintAddress)) {
+                // Skip if this listing was already alerted and nothing about it changed enough
+                const alertReason = getAlertReason(seenRareNFTs.get(nft.mintAddress), nft, settings);
+                if (!alertReason) {
+                    return;
+                }
+                // Already waiting in the retry queue or held for a digest
+                if (queuedMints.has(nft.mintAddress)) {
                     return;
                 }
 
-                // New rare NFT found
+                // New rare NFT or listing found
                 newRareNFTsFound++;
+                nft.alertReason = alertReason;
                 newRareNFTs.push(nft);
 
-                // Add to seen set
-                seenRareNFTs.add(nft.mintAddress);
-
                 // Format price
-                const price = nft.price ? `${nft.price / 1000000000} SOL` : 'Not listed';
+                const price = marketplace.formatPrice(nft.price);
 
                 // Find rare traits
                 const rareTraits = [];
@@ -129,83 +272,99 @@ async function processCollection(collectionSymbol) {
                 // Log the rare NFT details
                 log(`-----------------------------`);
                 log(`Name: ${nft.name}`);
+                log(`Alert: ${alertReason} (rule: ${nft.matchedRule})`);
                 log(`Mint: ${nft.mintAddress}`);
                 log(`Price: ${price}`);
+                log(`Rank: #${nft.rarityRank} of ${traitAnalysis.totalNFTs} (score ${nft.rarityScore})`);
+                if (nft.priceToFloor !== null) {
+                    log(`Price to floor: ${nft.priceToFloor}x (max ${nft.maxFloorMultiple}x for this rank)`);
+                }
                 log(`Image: ${nft.image}`);
-                log(`View: https://magiceden.io/item-details/${nft.mintAddress}`);
+                log(`View: ${marketplace.getItemUrl(nft.mintAddress)}`);
+                if (nft.underpriced) {
+                    const { traitType, value, traitFloor, discountPercent } = nft.underpriced;
+                    log(`Below trait floor: ${traitType}: ${value} (floor ${marketplace.formatPrice(traitFloor)}, ${discountPercent}% below)`);
+                }
                 log(`Rare traits:`);
                 rareTraits.forEach(trait => log(`  - ${trait}`));
             });
 
-            // Save the updated seenRareNFTs list
-            saveSeenRareNFTs(collectionSymbol, seenRareNFTs);
+            log(`Found ${newRareNFTsFound} NEW rare NFTs or listings (total seen so far: ${seenRareNFTs.size})`);
 
-            log(`Found ${newRareNFTsFound} NEW rare NFTs (total seen so far: ${seenRareNFTs.size})`);
-
-            // Send Discord notification if new rare NFTs were found
+            // Send notifications to every enabled channel if new rare NFTs were found
+            scanCounts.alerts = newRareNFTs.length;
             if (newRareNFTs.length > 0) {
-                const discordSent = await sendRareSummaryDiscordNotification(newRareNFTs, collectionInfo.name);
-                if (discordSent) {
-                    log(`Sent Discord notification with summary of ${newRareNFTs.length} new rare NFTs`);
+                const channelsByMint = await sendRareNotifications(newRareNFTs, { symbol: collectionSymbol, name: collectionInfo.name, marketplace }, scanTime);
+                const sentChannels = [...new Set([...channelsByMint.values()].flat())];
+                if (sentChannels.length > 0) {
+                    const sentCount = [...channelsByMint.values()].filter(channels => channels.length > 0).length;
+                    log(`Sent ${sentChannels.join(', ')} notifications with summary of ${sentCount} of ${newRareNFTs.length} new rare NFTs`);
                 }
+                recordAlerts(collectionSymbol, newRareNFTs, channelsByMint);
+
+                // Remember the alerted listings once a channel delivered them; the rest wait in the retry queue or for a digest
+                const noChannels = getEnabledChannels().length === 0;
+                newRareNFTs
+                    .filter(nft => noChannels || channelsByMint.get(nft.mintAddress).length > 0)
+                    .forEach(nft => markNotified(seenRareNFTs, nft, scanTime));
+
+                emit(events, 'rareFound', { symbol: collectionSymbol, scanId, nfts: newRareNFTs, channels: channelsByMint });
             }
         } else {
             log(`No rare listed NFTs found in collection ${collectionInfo.name}`);
         }
+
+        // Save the updated seen state, including delistings
+        saveSeenRareNFTs(collectionSymbol, seenRareNFTs);
+        completed = true;
     } catch (error) {
-        log(`Error processing collection ${collectionSymbol}:`, error);
+        log.error(`Error processing collection ${collectionSymbol}:`, error);
+        emit(events, 'error', error, { symbol: collectionSymbol, scanId });
+    } finally {
+        // Also runs when the collection or its NFTs are not found, so failed scans are counted
+        const durationMs = Date.now() - startTime;
+        recordScanMetrics(collectionSymbol, { completed, durationMs, ...scanCounts });
+        log(`Completed scan of ${collectionSymbol} in ${elapsed(durationMs)}`);
+        emit(events, 'scanComplete', { symbol: collectionSymbol, scanId, completed, durationMs, ...scanCounts });
     }
-
-    log(`Completed scan of ${collectionSymbol} in ${elapsed(Date.now() - startTime)}`);
+    return completed;
 }
 
 /**
- * Main function that processes a collection
- * @param {string} collectionSymbol - MagicEden collection symbol
+ * Create the state for a watched collection
+ * @param {Object} entry - Watchlist entry with symbol, marketplace and settings
+ * @param {Object} [options] - Collection options
+ * @param {boolean} [options.fullSync] - Rebuild the collection cache from scratch on the first scan
+ * @param {boolean} [options.exportReports] - Write reports after every scan, defaults to config.export.onScan
+ * @returns {Object} Watched collection state
  */
-async function main(collectionSymbol) {
-    if (!collectionSymbol) {
-        log('Usage: npm start <collection-symbol>');
-        log('Example: npm start mkrs');
-        process.exit(1);
-    }
-
-    // Store the current collection symbol
-    currentCollection = collectionSymbol;
-
-    // If a scan is already running, skip this run
-    if (isScanRunning) {
-        log('Previous scan still running, skipping this scheduled run');
-        return;
-    }
-
-    try {
-        isScanRunning = true;
-        await processCollection(collectionSymbol);
-    } catch (error) {
-        log('Error in main process:', error);
-    } finally {
-        isScanRunning = false;
-    }
+function createCollection(entry, { fullSync = false, exportReports = config.export.onScan } = {}) {
+    return {
+        symbol: entry.symbol,
+        marketplace: getMarketplace(entry.marketplace),
+        settings: entry.settings,
+        fullSync,
+        // Report formats written after every scan
+        exportFormats: exportReports ? getExportFormats() : [],
+        // Cache to prevent duplicate notifications for the same rare NFTs
+        seenRareNFTs: loadSeenRareNFTs(entry.symbol),
+        // Flag to track if a scan of this collection is currently running, and the running scan
+        isScanRunning: false,
+        currentScan: null,
+        // Paused collections skip their scheduled scans
+        paused: false,
+        // Timing of the last scan and summary of its results, for the HTTP API
+        lastScan: null,
+        latest: null,
+        nextScanAt: null,
+        timer: null
+    };
 }
 
 /**
- * Run the application with scheduled interval
+ * Log the cache and notification settings a run will use
  */
-function setupIntervalRuns() {
-    const collectionSymbol = process.argv[2];
-    if (!collectionSymbol) {
-        log('Usage: npm start <collection-symbol>');
-        log('Example: npm start mkrs');
-        process.exit(1);
-    }
-
-    // Initialize seenRareNFTs from persisted state
-    seenRareNFTs = loadSeenRareNFTs(collectionSymbol);
-
-    const intervalMinutes = config.raritySettings.scanIntervalMinutes;
-    log(`Setting up scheduled runs every ${intervalMinutes} minutes for collection: ${collectionSymbol}`);
-
+function logRunSettings() {
     // Show caching info
     const cacheEnabled = config.collectionAnalysis.cacheFullCollectionData;
     const cacheExpireHours = config.collectionAnalysis.cacheExpireHours;
@@ -215,32 +374,240 @@ function setupIntervalRuns() {
         log(`Collection data caching is DISABLED`);
     }
 
-    // Show Discord notification status
-    const discordEnabled = config.notifications?.discord?.enabled;
-    if (discordEnabled) {
-        log(`Discord notifications are ENABLED`);
+    // Show notification channel status
+    const enabledChannels = getEnabledChannels().map(channel => channel.name);
+    if (enabledChannels.length > 0) {
+        log(`Notifications are ENABLED for: ${enabledChannels.join(', ')}`);
     } else {
-        log(`Discord notifications are DISABLED`);
+        log(`Notifications are DISABLED`);
     }
+}
 
-    // Handle application termination
-    process.on('SIGINT', () => {
-        log('Application terminating, saving data...');
-        if (currentCollection && seenRareNFTs) {
-            saveSeenRareNFTs(currentCollection, seenRareNFTs);
+/**
+ * Rare NFT sniper for a set of collections, to embed in another service or run from the CLI.
+ * Creating one checks the config and has no other side effects: the cache is opened on the
+ * first scan or start(), and nothing is scheduled until start(). Events:
+ *
+ *   scanStart       { symbol, scanId, startedAt }
+ *   scanComplete    { symbol, scanId, completed, durationMs, listings, rareListings, alerts }
+ *   rareFound       { symbol, scanId, nfts, channels } with the newly alerted NFTs and the
+ *                   channels that delivered each, by mint address
+ *   cacheRefreshed  { symbol, full, fetched, total } when a collection's cached NFTs are synced
+ *   error           (error, { symbol, scanId }) for a failed scan, only when a listener is attached
+ */
+class Sniper extends EventEmitter {
+    /**
+     * @param {Object} [options] - Sniper options
+     * @param {Array<string|Object>} [options.collections] - Collection symbols, or entries with a symbol and setting overrides
+     * @param {string} [options.watchlist] - Watchlist file, used when no collections are given
+     * @param {boolean} [options.fullSync] - Rebuild each collection cache from scratch on its first scan
+     * @param {boolean} [options.exportReports] - Write reports after every scan, defaults to config.export.onScan
+     * @throws {Error} Listing every config error, when the config is invalid, or every watchlist
+     *   entry error, when a watchlist entry has invalid settings
+     */
+    constructor({ collections = [], watchlist, fullSync = false, exportReports = config.export.onScan } = {}) {
+        super();
+        checkConfig();
+        // Resolved watchlist entries; without collections or a file, the watchlist file in config
+        this.watchlist = resolveWatchlist(collections, watchlist);
+        this.collectionOptions = { fullSync, exportReports };
+        // State for each watched collection, keyed by collection symbol. Every collection
+        // keeps its own seen rare NFTs, scan lock and schedule so a slow scan of one
+        // collection never delays the others.
+        this.collections = new Map();
+        this.ready = null;
+    }
+
+    /**
+     * Open the cache and log the run settings, once
+     * @returns {Promise<void>}
+     */
+    init() {
+        if (!this.ready) {
+            this.ready = initCache().then(logRunSettings);
         }
-        process.exit(0);
-    });
+        return this.ready;
+    }
+
+    /**
+     * Find the watchlist entry of a collection, resolving it from config if it is not in the watchlist
+     * @param {string} collectionSymbol - Collection symbol
+     * @returns {Object|null} Watchlist entry, or null if the symbol is invalid
+     */
+    getEntry(collectionSymbol) {
+        return this.watchlist.find(entry => entry.symbol === collectionSymbol) || buildWatchlist([collectionSymbol])[0] || null;
+    }
+
+    /**
+     * Scan a collection once
+     * A watched collection is scanned with its watch state unless a scan of it is already running
+     * @param {string} collectionSymbol - Collection symbol
+     * @returns {Promise<boolean>} Whether the scan completed
+     */
+    async scanOnce(collectionSymbol) {
+        await this.init();
+        const watched = this.collections.get(collectionSymbol);
+        if (watched) {
+            return this.runScan(watched, { manual: true });
+        }
+
+        const entry = this.getEntry(collectionSymbol);
+        if (!entry) {
+            return false;
+        }
+        return processCollection(createCollection(entry, this.collectionOptions), this);
+    }
+
+    /**
+     * Start watching every collection in the watchlist, each scanned on its own schedule until stop()
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this.init();
+        log(`Watching ${this.watchlist.length} collections: ${this.watchlist.map(entry => entry.symbol).join(', ')}`);
+        this.watchlist
+            .filter(entry => !this.collections.has(entry.symbol))
+            .forEach(entry => this.watchCollection(entry));
+    }
+
+    /**
+     * Stop the scheduled scans, wait for running scans and save the seen state of every collection
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        const collections = [...this.collections.values()];
+        collections.forEach(collection => {
+            clearInterval(collection.timer);
+            collection.timer = null;
+            collection.nextScanAt = null;
+        });
+        await Promise.all(collections.map(collection => collection.currentScan));
+        collections.forEach(collection => saveSeenRareNFTs(collection.symbol, collection.seenRareNFTs));
+        this.collections.clear();
+        log(`Stopped watching ${collections.length} collections`);
+    }
+
+    /**
+     * Start watching a collection on its own schedule
+     * @param {Object} entry - Watchlist entry with symbol, marketplace and settings
+     */
+    watchCollection(entry) {
+        const collection = createCollection(entry, this.collectionOptions);
+        this.collections.set(collection.symbol, collection);
+
+        const intervalMinutes = collection.settings.scanIntervalMinutes;
+        log(`Setting up scheduled runs every ${intervalMinutes} minutes for collection: ${collection.symbol}`);
+
+        // Run immediately on startup
+        this.runScan(collection);
+
+        // Use setInterval with delay instead of cron for better control
+        const intervalMs = intervalMinutes * 60 * 1000;
+        collection.nextScanAt = Date.now() + intervalMs;
+        collection.timer = setInterval(() => {
+            collection.nextScanAt = Date.now() + intervalMs;
+            log(`Interval reached for ${collection.symbol}, starting next scan if previous one has completed`);
+            this.runScan(collection);
+        }, intervalMs);
+    }
+
+    /**
+     * Run a scan of a watched collection unless its previous scan is still running
+     * Scheduled scans of a paused collection are skipped; manual scans still run
+     * @param {Object} collection - Watched collection state
+     * @param {Object} [options] - Scan options
+     * @param {boolean} [options.manual] - The scan was requested rather than scheduled
+     * @returns {Promise<boolean>} Whether a scan ran and completed
+     */
+    async runScan(collection, { manual = false } = {}) {
+        if (collection.paused && !manual) {
+            log(`Collection ${collection.symbol} is paused, skipping this scheduled run`);
+            return false;
+        }
+
+        // If a scan of this collection is already running, skip this run
+        if (collection.isScanRunning) {
+            log(`Previous scan of ${collection.symbol} still running, skipping this scheduled run`);
+            return false;
+        }
+
+        const startedAt = Date.now();
+        let completed = false;
+        try {
+            collection.isScanRunning = true;
+            collection.currentScan = processCollection(collection, this);
+            completed = await collection.currentScan;
+        } catch (error) {
+            log.error(`Error in scan of ${collection.symbol}:`, error);
+            emit(this, 'error', error, { symbol: collection.symbol });
+        } finally {
+            collection.isScanRunning = false;
+            collection.currentScan = null;
+            const completedAt = Date.now();
+            collection.lastScan = { startedAt, completedAt, durationMs: completedAt - startedAt, completed };
+        }
+        return completed;
+    }
+
+    /**
+     * Get the watched collections
+     * @returns {Array<Object>} Watched collection states
+     */
+    getWatchedCollections() {
+        return [...this.collections.values()];
+    }
 
-    // Run immediately on startup
-    main(collectionSymbol);
+    /**
+     * Get a watched collection
+     * @param {string} collectionSymbol - Collection symbol
+     * @returns {Object|null} Watched collection state, or null if the collection is not watched
+     */
+    getWatchedCollection(collectionSymbol) {
+        return this.collections.get(collectionSymbol) || null;
+    }
 
-    // Use setInterval with delay instead of cron for better control
-    setInterval(() => {
-        log(`Interval reached, starting next scan if previous one has completed`);
-        main(collectionSymbol);
-    }, intervalMinutes * 60 * 1000);
+    /**
+     * Start a scan of a watched collection now, whether or not it is paused
+     * @param {string} collectionSymbol - Collection symbol
+     * @returns {boolean} Whether a scan was started; false if the collection is not watched or already scanning
+     */
+    triggerScan(collectionSymbol) {
+        const collection = this.collections.get(collectionSymbol);
+        if (!collection || collection.isScanRunning) {
+            return false;
+        }
+
+        log(`Manual scan requested for ${collectionSymbol}`);
+        this.runScan(collection, { manual: true });
+        return true;
+    }
+
+    /**
+     * Pause or resume the scheduled scans of a watched collection
+     * @param {string} collectionSymbol - Collection symbol
+     * @param {boolean} paused - Whether to pause the collection
+     * @returns {Object|null} Watched collection state, or null if the collection is not watched
+     */
+    setCollectionPaused(collectionSymbol, paused) {
+        const collection = this.collections.get(collectionSymbol);
+        if (!collection) {
+            return null;
+        }
+
+        collection.paused = paused;
+        log(`${paused ? 'Paused' : 'Resumed'} scheduled scans of ${collectionSymbol}`);
+        return collection;
+    }
 }
 
-// Start the application with interval runs
-setupIntervalRuns(); 
+module.exports = {
+    Sniper,
+    analyzeCollection,
+    processCollection,
+    createCollection
+};
+
+// Running this file directly is the same as the watch command
+if (require.main === module) {
+    require('./cli').main(['watch', ...process.argv.slice(2)]);
+}
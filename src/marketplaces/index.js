@@ -0,0 +1,44 @@
+const config = require('config');
+
+/**
+ * Marketplace adapters, keyed by the name used in config.marketplace and watchlist entries.
+ *
+ * Each adapter exports:
+ * - name, label and iconUrl of the marketplace
+ * - getCollectionInfo(symbol): collection with symbol and name, or null if not found
+ * - getCollectionStats(symbol): { floorPrice, listedCount } with the floor in the adapter's
+ *   price unit, or null if unavailable
+ * - syncTokens(symbol, { cursor, knownMints }): { nfts, cursor, complete } with the tokens not
+ *   in knownMints, an opaque cursor for the next incremental sync and whether every activity
+ *   since the given cursor was walked (if not, the given cursor is returned unchanged)
+ * - getListings(symbol): [{ mintAddress, price, seller }]
+ * - getActivities(symbol, { maxActivities }): listing history, newest first, as
+ *   [{ type: list|delist|sale, mintAddress, price, seller, buyer, time, signature }]
+ * - getTokenActivities(mintAddress): recent listing history of one token, in the same shape
+ * - getTokenMetadata(mintAddress): token metadata, or null if unavailable
+ * - getItemUrl(mintAddress), toAmount(price) and formatPrice(price) for links and prices
+ *
+ * Token metadata is { mintAddress, name, image, attributes: [{ trait_type, value }] }.
+ */
+const MARKETPLACES = {
+    magiceden: require('./magiceden')
+};
+
+/**
+ * Get a marketplace adapter
+ * @param {string} [name] - Adapter name, defaults to config.marketplace
+ * @returns {Object} Marketplace adapter
+ * @throws {Error} If there is no adapter with that name
+ */
+function getMarketplace(name = config.marketplace) {
+    const marketplace = MARKETPLACES[name || 'magiceden'];
+    if (!marketplace) {
+        throw new Error(`Unknown marketplace: ${name} (available: ${Object.keys(MARKETPLACES).join(', ')})`);
+    }
+    return marketplace;
+}
+
+module.exports = {
+    MARKETPLACES,
+    getMarketplace
+};
@@ -0,0 +1,154 @@
+const meAPI = require('../api/magiceden');
+
+const LAMPORTS_PER_SOL = 1000000000;
+
+// Activity types that change a listing, mapped to list, delist or sale
+const ACTIVITY_TYPES = { list: 'list', delist: 'delist', buyNow: 'sale' };
+
+/**
+ * Get collection metadata
+ * @param {string} symbol - Collection symbol
+ * @returns {Promise<Object|null>} Collection with symbol and name, or null if not found
+ */
+async function getCollectionInfo(symbol) {
+    const info = await meAPI.getCollectionInfo(symbol);
+    if (!info) {
+        return null;
+    }
+    return { ...info, symbol: info.symbol || symbol, name: info.name || symbol };
+}
+
+/**
+ * Get collection statistics
+ * @param {string} symbol - Collection symbol
+ * @returns {Promise<Object|null>} Floor price in lamports and listed count, or null on failure
+ */
+async function getCollectionStats(symbol) {
+    const stats = await meAPI.getCollectionStats(symbol);
+    if (!stats) {
+        return null;
+    }
+    return { floorPrice: stats.floorPrice ?? null, listedCount: stats.listedCount ?? null };
+}
+
+/**
+ * Sync the full token set of a collection
+ * @param {string} symbol - Collection symbol
+ * @param {Object} [state] - Sync cursor and known mint addresses from the previous sync
+ * @returns {Promise<Object>} New token metadata, the cursor for the next sync and whether the sync was complete
+ */
+function syncTokens(symbol, state) {
+    return meAPI.syncCollectionNFTs(symbol, state);
+}
+
+/**
+ * Get the current listings of a collection
+ * @param {string} symbol - Collection symbol
+ * @returns {Promise<Array>} Listings with mint address, price in lamports and seller
+ */
+async function getListings(symbol) {
+    const listings = await meAPI.getCollectionListings(symbol);
+    return listings
+        .filter(listing => listing.tokenMint)
+        .map(listing => ({
+            mintAddress: listing.tokenMint,
+            price: listing.price ?? null,
+            seller: listing.seller || null
+        }));
+}
+
+/**
+ * Convert a raw activity
+ * @param {Object} activity - Activity from the API
+ * @returns {Object|null} Activity with type (list, delist or sale), mint address, price in
+ *   lamports, seller, buyer, time in milliseconds and signature, or null for other activity types
+ */
+function toActivity(activity) {
+    if (!ACTIVITY_TYPES[activity.type] || !activity.tokenMint || !activity.blockTime) {
+        return null;
+    }
+    return {
+        type: ACTIVITY_TYPES[activity.type],
+        mintAddress: activity.tokenMint,
+        price: activity.price ?? null,
+        seller: activity.seller || null,
+        buyer: activity.buyer || null,
+        time: activity.blockTime * 1000,
+        signature: activity.signature || null
+    };
+}
+
+/**
+ * Get the listing history of a collection
+ * @param {string} symbol - Collection symbol
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.maxActivities] - Stop after this many activities
+ * @returns {Promise<Array>} Activities, newest first, with type (list, delist or sale),
+ *   mint address, price in lamports, seller, buyer, time in milliseconds and signature
+ */
+async function getActivities(symbol, options) {
+    const activities = await meAPI.getCollectionActivities(symbol, options);
+    return activities.map(toActivity).filter(activity => activity);
+}
+
+/**
+ * Get the recent listing history of a single token
+ * @param {string} mintAddress - NFT mint address
+ * @returns {Promise<Array>} Activities, newest first, in the same shape as getActivities
+ */
+async function getTokenActivities(mintAddress) {
+    const activities = await meAPI.getTokenActivities(mintAddress);
+    return activities.map(toActivity).filter(activity => activity);
+}
+
+/**
+ * Get the metadata of a single token
+ * @param {string} mintAddress - NFT mint address
+ * @returns {Promise<Object|null>} Token metadata with mintAddress, name, image and attributes
+ */
+function getTokenMetadata(mintAddress) {
+    return meAPI.getNFTMetadata(mintAddress);
+}
+
+/**
+ * Get the marketplace page of a token
+ * @param {string} mintAddress - NFT mint address
+ * @returns {string} Item URL
+ */
+function getItemUrl(mintAddress) {
+    return `https://magiceden.io/item-details/${mintAddress}`;
+}
+
+/**
+ * Convert a lamport price to SOL
+ * @param {number} price - Price in lamports
+ * @returns {number} Price in SOL
+ */
+function toAmount(price) {
+    return price / LAMPORTS_PER_SOL;
+}
+
+/**
+ * Format a lamport price in SOL
+ * @param {number} price - Price in lamports
+ * @returns {string} Formatted price
+ */
+function formatPrice(price) {
+    return price ? `${toAmount(price)} SOL` : 'Not listed';
+}
+
+module.exports = {
+    name: 'magiceden',
+    label: 'Magic Eden',
+    iconUrl: 'https://magiceden.io/favicon.ico',
+    getCollectionInfo,
+    getCollectionStats,
+    syncTokens,
+    getListings,
+    getActivities,
+    getTokenActivities,
+    getTokenMetadata,
+    getItemUrl,
+    toAmount,
+    formatPrice
+};
@@ -0,0 +1,226 @@
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const { describeRank, truncate, joinLines } = require('./message');
+const log = createLogger('notifier');
+
+// Discord message limits: embeds per message, characters across all embeds of a message,
+// and per-part limits of an embed
+const LIMITS = {
+    content: 2000,
+    embeds: 10,
+    totalCharacters: 6000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024
+};
+
+// Longest wait for a rate limit before giving up on a post, so the alerts are queued instead
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+/**
+ * Count the characters of an embed that Discord counts towards the message limit
+ * @param {Object} embed - Discord embed
+ * @returns {number} Character count
+ */
+function embedLength(embed) {
+    return (embed.title || '').length
+        + (embed.description || '').length
+        + (embed.footer?.text || '').length
+        + (embed.fields || []).reduce((sum, field) => sum + field.name.length + field.value.length, 0);
+}
+
+/**
+ * Build the Discord embed for a single message item
+ * @param {Object} item - Message item
+ * @returns {Object} Discord embed
+ */
+function buildItemEmbed(item) {
+    const rareTraits = item.rareTraits.map(trait =>
+        `**${trait.type}**: ${trait.value} (${trait.percentage}%, ${trait.reason})`);
+
+    const rank = describeRank(item);
+    const fields = [
+        {
+            name: 'Price',
+            value: item.priceLabel,
+            inline: true
+        },
+        ...(rank ? [{
+            name: 'Rarity Rank',
+            value: rank,
+            inline: true
+        }] : []),
+        {
+            name: 'Price to Floor',
+            value: item.priceToFloor ? `${item.priceToFloor}x` : 'Unknown',
+            inline: true
+        }
+    ];
+
+    if (item.underpriced) {
+        const { traitType, value, traitFloorLabel, discountPercent } = item.underpriced;
+        fields.push({
+            name: 'Below Trait Floor',
+            value: `**${traitType}**: ${value} (floor ${traitFloorLabel}, ${discountPercent}% below)`,
+            inline: false
+        });
+    }
+
+    fields.push({
+        name: 'Rare Traits',
+        value: rareTraits.length > 0 ? joinLines(rareTraits, LIMITS.fieldValue) : 'None',
+        inline: false
+    });
+
+    const description = [item.alertReason, item.matchedRule && `Rule: ${item.matchedRule}`].filter(Boolean).join('\n');
+    return {
+        title: truncate(item.name, LIMITS.title),
+        description: description ? truncate(description, LIMITS.description) : undefined,
+        url: item.url,
+        thumbnail: item.image ? { url: item.image } : undefined,
+        fields: fields.slice(0, LIMITS.fields).map(field => ({
+            ...field,
+            name: truncate(field.name, LIMITS.fieldName),
+            value: truncate(field.value, LIMITS.fieldValue)
+        })),
+        color: 0x00FFFF // Cyan color
+    };
+}
+
+/**
+ * Split the embeds of a message into as many posts as Discord's limits need
+ * The summary embed opens the first post
+ * @param {Object} summaryEmbed - Summary embed
+ * @param {Array<Object>} itemEmbeds - Item embeds, each with the mint address of its item
+ * @returns {Array<Object>} Posts with their embeds and the mint addresses of their items
+ */
+function chunkEmbeds(summaryEmbed, itemEmbeds) {
+    const posts = [{ embeds: [summaryEmbed], mints: [], length: embedLength(summaryEmbed) }];
+    itemEmbeds.forEach(({ mintAddress, embed }) => {
+        const length = embedLength(embed);
+        let post = posts[posts.length - 1];
+        if (post.embeds.length >= LIMITS.embeds || post.length + length > LIMITS.totalCharacters) {
+            post = { embeds: [], mints: [], length: 0 };
+            posts.push(post);
+        }
+        post.embeds.push(embed);
+        post.mints.push(mintAddress);
+        post.length += length;
+    });
+    return posts;
+}
+
+/**
+ * Get how long Discord asks to wait before the next request
+ * @param {Object} response - Axios response
+ * @returns {number|null} Delay in milliseconds, or null if none is given
+ */
+function retryAfterMs(response) {
+    const retryAfter = response?.data?.retry_after ?? response?.headers?.['retry-after'];
+    const seconds = Number(retryAfter);
+    return retryAfter !== undefined && !Number.isNaN(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Post to a Discord webhook, waiting out rate limits
+ * On a 429 the post is retried after the retry_after Discord gives, and a server error is
+ * retried with backoff. When the rate limit bucket is empty after a post, the next post
+ * waits for it to reset.
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Message payload
+ * @param {number} maxRetries - Retries before giving up
+ * @throws {Error} The last error once retries are exhausted or the error is not retryable
+ */
+async function postWebhook(url, payload, maxRetries) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await axios.post(url, payload, { timeout: 15000 });
+            if (response.headers?.['x-ratelimit-remaining'] === '0') {
+                const resetAfter = Number(response.headers['x-ratelimit-reset-after']);
+                if (resetAfter > 0) {
+                    await sleep(Math.min(Math.ceil(resetAfter * 1000), MAX_RATE_LIMIT_WAIT_MS));
+                }
+            }
+            return;
+        } catch (error) {
+            const status = error.response?.status;
+            const retryable = status === 429 || status >= 500 || (!status && ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET'].includes(error.code));
+            const delay = status === 429 ? retryAfterMs(error.response) ?? 1000 : 1000 * 2 ** attempt;
+            if (!retryable || attempt >= maxRetries || delay > MAX_RATE_LIMIT_WAIT_MS) {
+                throw error;
+            }
+            log.warn(`Discord webhook ${status === 429 ? 'rate limited' : 'failed'}, retrying in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Sends a rare NFT message to a Discord webhook as embeds, split across as many posts as needed
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Discord channel config with webhookUrl, username and maxRetries
+ * @param {Object} [posts] - Hooks for the hourly message cap
+ * @param {Function} [posts.canPost] - Whether another post may go out
+ * @param {Function} [posts.posted] - Records a post that went out
+ * @returns {Promise<Object|boolean>} { delivered } with the mint addresses of the items sent,
+ *   or false when nothing was sent
+ */
+async function send(message, options, { canPost = () => true, posted = () => {} } = {}) {
+    if (!options.webhookUrl) {
+        log('Discord webhook URL not configured');
+        return false;
+    }
+
+    const summaryEmbed = {
+        title: truncate(message.title, LIMITS.title),
+        description: truncate(message.summary, LIMITS.description),
+        color: 0x00FFFF,
+        footer: {
+            text: 'Rare Sniper',
+            icon_url: message.marketplace.iconUrl || undefined
+        },
+        timestamp: message.timestamp
+    };
+    const itemEmbeds = message.items.map(item => ({ mintAddress: item.mintAddress, embed: buildItemEmbed(item) }));
+    const posts = chunkEmbeds(summaryEmbed, itemEmbeds);
+
+    const delivered = [];
+    for (let index = 0; index < posts.length; index++) {
+        const part = posts.length > 1 ? ` (part ${index + 1} of ${posts.length})` : '';
+        if (!canPost()) {
+            log.warn(`Discord is at its hourly message cap, stopped before the notification${part}`);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+        try {
+            await postWebhook(options.webhookUrl, {
+                username: options.username || 'Rare Sniper',
+                content: truncate(`${message.summary}${part}`, LIMITS.content),
+                embeds: posts[index].embeds
+            }, options.maxRetries ?? 3);
+            posted();
+            delivered.push(...posts[index].mints);
+        } catch (error) {
+            log.error(`Error sending Discord notification${part}:`, error);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+    }
+
+    log(`Sent Discord notification for ${message.count} rare NFTs in ${posts.length} ${posts.length === 1 ? 'post' : 'posts'}`);
+    return { delivered };
+}
+
+module.exports = {
+    name: 'discord',
+    send
+};
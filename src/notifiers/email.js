@@ -0,0 +1,96 @@
+const nodemailer = require('nodemailer');
+const { createLogger } = require('../utils/logger');
+const { describeItem, describeRareTraits, describeRank } = require('./message');
+const log = createLogger('notifier');
+
+/**
+ * Escape text for HTML email bodies
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the HTML body for a rare NFT message
+ * @param {Object} message - Rare NFT message
+ * @returns {string} HTML body
+ */
+function buildHtml(message) {
+    const items = message.items.map(item => {
+        const traits = describeRareTraits(item).map(trait => `<li>${escapeHtml(trait)}</li>`).join('');
+        const underpriced = item.underpriced
+            ? `<br>Below trait floor: ${escapeHtml(`${item.underpriced.traitType}: ${item.underpriced.value}`)} (floor ${escapeHtml(item.underpriced.traitFloorLabel)}, ${item.underpriced.discountPercent}% below)`
+            : '';
+        const rank = describeRank(item);
+
+        return `<tr>
+<td><img src="${escapeHtml(item.image || '')}" width="96" alt=""></td>
+<td><a href="${escapeHtml(item.url)}"><b>${escapeHtml(item.name)}</b></a><br>
+Price: ${escapeHtml(item.priceLabel)}${item.priceToFloor ? ` (${item.priceToFloor}x floor)` : ''}${rank ? `<br>
+Rank: ${rank}` : ''}${underpriced}
+<ul>${traits}</ul></td>
+</tr>`;
+    }).join('\n');
+
+    return `<h2>${escapeHtml(message.title)}</h2>
+<p>${escapeHtml(message.summary)}</p>
+<table cellpadding="6">
+${items}
+</table>`;
+}
+
+/**
+ * Sends a rare NFT message as an email over SMTP
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Email channel config with SMTP host, port, credentials, from and to
+ * @param {Object} [posts] - Hooks for the hourly message cap
+ * @param {Function} [posts.canPost] - Whether another post may go out
+ * @param {Function} [posts.posted] - Records a post that went out
+ * @returns {Promise<Object|boolean>} { delivered } with the mint addresses of the items sent, or false on failure
+ */
+async function send(message, options, { canPost = () => true, posted = () => {} } = {}) {
+    if (!options.host || !options.to) {
+        log('Email SMTP host or recipient not configured');
+        return false;
+    }
+    if (!canPost()) {
+        log.warn('Email is at its hourly message cap');
+        return false;
+    }
+
+    try {
+        const transport = nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: Boolean(options.secure),
+            ignoreTLS: Boolean(options.ignoreTLS),
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+
+        await transport.sendMail({
+            from: options.from || options.user,
+            to: options.to,
+            subject: message.summary,
+            text: [message.summary, ...message.items.map(item => describeItem(item).join('\n'))].join('\n\n'),
+            html: buildHtml(message)
+        });
+            posted();
+
+        log(`Sent email notification for ${message.count} rare NFTs`);
+        return { delivered: message.items.map(item => item.mintAddress) };
+    } catch (error) {
+        log.error('Error sending email notification:', error);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'email',
+    send
+};
@@ -0,0 +1,253 @@
+/**
+ * Shared rare NFT message model used by every notifier channel
+ */
+
+/**
+ * Build the message item for a single rare NFT
+ * @param {Object} nft - Normalized NFT object with rarity info
+ * @param {Object} marketplace - Marketplace adapter, for links and price formatting
+ * @returns {Object} Message item
+ */
+function buildItem(nft, marketplace) {
+    const rareTraits = [];
+    Object.entries(nft.rarity || {}).forEach(([type, details]) => {
+        if (details.rare) {
+            rareTraits.push({
+                type,
+                value: details.value,
+                percentage: details.percentage,
+                reason: details.reason
+            });
+        }
+    });
+
+    return {
+        name: nft.name,
+        mintAddress: nft.mintAddress,
+        image: nft.image,
+        url: marketplace.getItemUrl(nft.mintAddress),
+        price: nft.price,
+        priceLabel: marketplace.formatPrice(nft.price),
+        seller: nft.seller,
+        alertReason: nft.alertReason || null,
+        matchedRule: nft.matchedRule || null,
+        rank: nft.rarityRank ?? null,
+        score: nft.rarityScore ?? null,
+        priceToFloor: nft.priceToFloor || null,
+        underpriced: nft.underpriced
+            ? { ...nft.underpriced, traitFloorLabel: marketplace.formatPrice(nft.underpriced.traitFloor) }
+            : null,
+        rareTraits
+    };
+}
+
+/**
+ * Describe how many rare NFTs a message holds
+ * @param {number} count - Number of rare NFTs
+ * @param {string} name - Collection name
+ * @returns {string} Summary line
+ */
+function rareSummary(count, name) {
+    return `Found ${count} rare NFTs in collection ${name}`;
+}
+
+/**
+ * Narrow a rare NFT message down to some of its items, such as the ones a channel failed to deliver
+ * @param {Object} message - Rare NFT message
+ * @param {Array} items - Items to keep
+ * @returns {Object} Rare NFT message with the items
+ */
+function withItems(message, items) {
+    return {
+        ...message,
+        summary: rareSummary(items.length, message.collection.name),
+        count: items.length,
+        items
+    };
+}
+
+/**
+ * Combine the queued rare NFT messages of a collection into one digest
+ * An NFT held more than once keeps its latest item
+ * @param {Array<Object>} messages - Rare NFT messages, oldest first
+ * @returns {Object} Rare NFT message
+ */
+function buildDigestMessage(messages) {
+    const items = new Map();
+    messages.forEach(message => message.items.forEach(item => items.set(item.mintAddress, item)));
+
+    const [first] = messages;
+    const digest = withItems(messages[messages.length - 1], [...items.values()]);
+    return {
+        ...digest,
+        title: `Rare NFT Digest for ${first.collection.name}`,
+        summary: `${digest.summary} since ${first.timestamp.slice(0, 16).replace('T', ' ')} UTC`,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the message for a scan's new rare NFTs
+ * @param {Array} nfts - Array of normalized NFT objects with rarity info
+ * @param {Object} collection - Collection info with symbol, name and marketplace adapter
+ * @returns {Object} Rare NFT message
+ */
+function buildRareMessage(nfts, collection) {
+    const name = collection.name || collection.symbol;
+    const { marketplace } = collection;
+    return {
+        collection: {
+            symbol: collection.symbol,
+            name
+        },
+        marketplace: {
+            name: marketplace.name,
+            label: marketplace.label,
+            iconUrl: marketplace.iconUrl || null
+        },
+        title: `Rare NFT Summary for ${name}`,
+        summary: rareSummary(nfts.length, name),
+        count: nfts.length,
+        timestamp: new Date().toISOString(),
+        items: nfts.map(nft => buildItem(nft, marketplace))
+    };
+}
+
+/**
+ * Build the follow-up message for alerted listings whose outcome became known
+ * Each item describes the outcome as its alert reason, with the outcome details in an outcome object
+ * @param {Array} outcomes - Resolved alerts from trackOutcomes
+ * @param {Object} collection - Collection info with symbol, name and marketplace adapter
+ * @returns {Object} Rare NFT message
+ */
+function buildOutcomeMessage(outcomes, collection) {
+    const name = collection.name || collection.symbol;
+    const { marketplace } = collection;
+    const counts = {};
+    outcomes.forEach(outcome => {
+        const label = outcome.outcome.replace('_', ' ');
+        counts[label] = (counts[label] || 0) + 1;
+    });
+
+    return {
+        ...buildRareMessage([], collection),
+        title: `Rare NFT Outcomes for ${name}`,
+        summary: `Alerted rare NFTs in collection ${name}: ${Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ')}`,
+        count: outcomes.length,
+        items: outcomes.map(outcome => ({
+            ...buildItem({
+                name: outcome.name,
+                mintAddress: outcome.mintAddress,
+                image: outcome.image,
+                price: outcome.price,
+                seller: outcome.seller,
+                alertReason: outcome.description,
+                matchedRule: outcome.rule,
+                rarityRank: outcome.rarityRank,
+                rarityScore: outcome.rarityScore
+            }, marketplace),
+            outcome: {
+                type: outcome.outcome,
+                price: outcome.outcomePrice,
+                priceLabel: outcome.outcomePrice ? marketplace.formatPrice(outcome.outcomePrice) : null,
+                at: new Date(outcome.outcomeAt).toISOString(),
+                elapsedMs: outcome.elapsedMs,
+                buyer: outcome.buyer
+            }
+        }))
+    };
+}
+
+/**
+ * Shorten text to a length limit, marking the cut with an ellipsis
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text within the limit
+ */
+function truncate(text, max) {
+    const value = String(text ?? '');
+    return value.length <= max ? value : `${value.slice(0, max - 1)}…`;
+}
+
+/**
+ * Join lines up to a length limit, ending with a count of the lines left out
+ * @param {Array<string>} lines - Lines
+ * @param {number} max - Maximum length
+ * @returns {string} Joined lines within the limit
+ */
+function joinLines(lines, max) {
+    const kept = [];
+    let length = 0;
+    for (let index = 0; index < lines.length; index++) {
+        const line = truncate(lines[index], max);
+        const added = line.length + (kept.length > 0 ? 1 : 0);
+        // Keep room for the "and more" line unless this is the last line
+        const left = lines.length - index - 1;
+        const reserve = left > 0 ? `\n…and ${left} more`.length : 0;
+        if (length + added + reserve > max) {
+            kept.push(`…and ${lines.length - index} more`);
+            break;
+        }
+        kept.push(line);
+        length += added;
+    }
+    return kept.join('\n');
+}
+
+/**
+ * Describe a message item's rare traits as text lines
+ * @param {Object} item - Message item
+ * @returns {Array<string>} One line per rare trait
+ */
+function describeRareTraits(item) {
+    return item.rareTraits.map(trait => `${trait.type}: ${trait.value} (${trait.percentage}%, ${trait.reason})`);
+}
+
+/**
+ * Describe a message item's rarity rank and score, leaving out whichever is unknown
+ * @param {Object} item - Message item
+ * @returns {string|null} Rank and score such as "#4 (score 2.91)", or null if neither is known
+ */
+function describeRank(item) {
+    if (item.rank == null) {
+        return item.score == null ? null : `score ${item.score}`;
+    }
+    return item.score == null ? `#${item.rank}` : `#${item.rank} (score ${item.score})`;
+}
+
+/**
+ * Describe a message item as plain text lines, for channels without rich formatting
+ * @param {Object} item - Message item
+ * @returns {Array<string>} Text lines
+ */
+function describeItem(item) {
+    const rank = describeRank(item);
+    const lines = [
+        item.alertReason ? `${item.name} (${item.alertReason})` : item.name,
+        ...(item.matchedRule ? [`Rule: ${item.matchedRule}`] : []),
+        `Price: ${item.priceLabel}${item.priceToFloor ? ` (${item.priceToFloor}x floor)` : ''}`,
+        ...(rank ? [`Rank: ${rank}`] : [])
+    ];
+
+    if (item.underpriced) {
+        const { traitType, value, traitFloorLabel, discountPercent } = item.underpriced;
+        lines.push(`Below trait floor: ${traitType}: ${value} (floor ${traitFloorLabel}, ${discountPercent}% below)`);
+    }
+
+    describeRareTraits(item).forEach(trait => lines.push(`- ${trait}`));
+    lines.push(item.url);
+
+    return lines;
+}
+
+module.exports = {
+    buildRareMessage,
+    buildOutcomeMessage,
+    withItems,
+    buildDigestMessage,
+    describeRareTraits,
+    describeRank,
+    describeItem,
+    truncate,
+    joinLines
+};
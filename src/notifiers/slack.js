@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const { describeRareTraits, describeRank, truncate, joinLines } = require('./message');
+const log = createLogger('notifier');
+
+// Slack message limits: blocks per message and characters of header and section text.
+// Each NFT takes a section and a divider, after the header and summary blocks.
+const LIMITS = {
+    blocks: 50,
+    headerText: 150,
+    sectionText: 3000,
+    altText: 2000
+};
+const MAX_ITEMS = Math.floor((LIMITS.blocks - 2) / 2);
+
+/**
+ * Build the Slack blocks for a single message item
+ * @param {Object} item - Message item
+ * @returns {Array} Slack blocks
+ */
+function buildItemBlocks(item) {
+    const rank = describeRank(item);
+    const lines = [
+        `*<${item.url}|${item.name}>*${item.alertReason ? ` (${item.alertReason})` : ''}`,
+        ...(item.matchedRule ? [`*Rule:* ${item.matchedRule}`] : []),
+        `*Price:* ${item.priceLabel}${item.priceToFloor ? ` (${item.priceToFloor}x floor)` : ''}`,
+        ...(rank ? [`*Rank:* ${rank}`] : [])
+    ];
+
+    if (item.underpriced) {
+        const { traitType, value, traitFloorLabel, discountPercent } = item.underpriced;
+        lines.push(`*Below trait floor:* ${traitType}: ${value} (floor ${traitFloorLabel}, ${discountPercent}% below)`);
+    }
+
+    describeRareTraits(item).forEach(trait => lines.push(`• ${trait}`));
+
+    const section = {
+        type: 'section',
+        text: {
+            type: 'mrkdwn',
+            text: joinLines(lines, LIMITS.sectionText)
+        }
+    };
+
+    if (item.image) {
+        section.accessory = {
+            type: 'image',
+            image_url: item.image,
+            alt_text: truncate(item.name, LIMITS.altText)
+        };
+    }
+
+    return [section, { type: 'divider' }];
+}
+
+/**
+ * Build the Slack payloads of a message, splitting its items across as many posts as Slack's limits need
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Slack channel config with username
+ * @returns {Array<Object>} Posts with their payload and the mint addresses of their items
+ */
+function buildPosts(message, options) {
+    const chunks = [];
+    for (let index = 0; index < message.items.length; index += MAX_ITEMS) {
+        chunks.push(message.items.slice(index, index + MAX_ITEMS));
+    }
+    if (chunks.length === 0) {
+        chunks.push([]);
+    }
+
+    return chunks.map((items, index) => {
+        const part = chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : '';
+        const blocks = [
+            {
+                type: 'header',
+                text: {
+                    type: 'plain_text',
+                    text: truncate(message.title, LIMITS.headerText)
+                }
+            },
+            {
+                type: 'section',
+                text: {
+                    type: 'mrkdwn',
+                    text: truncate(`${message.summary}${part}`, LIMITS.sectionText)
+                }
+            }
+        ];
+        items.forEach(item => blocks.push(...buildItemBlocks(item)));
+
+        return {
+            payload: {
+                username: options.username,
+                text: `${message.summary}${part}`,
+                blocks
+            },
+            mints: items.map(item => item.mintAddress)
+        };
+    });
+}
+
+/**
+ * Sends a rare NFT message to a Slack incoming webhook, split across as many posts as needed
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Slack channel config with webhookUrl
+ * @param {Object} [posts] - Hooks for the hourly message cap
+ * @param {Function} [posts.canPost] - Whether another post may go out
+ * @param {Function} [posts.posted] - Records a post that went out
+ * @returns {Promise<Object|boolean>} { delivered } with the mint addresses of the items sent,
+ *   or false when nothing was sent
+ */
+async function send(message, options, { canPost = () => true, posted = () => {} } = {}) {
+    if (!options.webhookUrl) {
+        log('Slack webhook URL not configured');
+        return false;
+    }
+
+    const posts = buildPosts(message, options);
+    const delivered = [];
+    for (let index = 0; index < posts.length; index++) {
+        if (!canPost()) {
+            log.warn(`Slack is at its hourly message cap, stopped before part ${index + 1} of ${posts.length}`);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+        try {
+            await axios.post(options.webhookUrl, posts[index].payload);
+            posted();
+            delivered.push(...posts[index].mints);
+        } catch (error) {
+            log.error(`Error sending Slack notification (part ${index + 1} of ${posts.length}):`, error);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+    }
+
+    log(`Sent Slack notification for ${message.count} rare NFTs in ${posts.length} ${posts.length === 1 ? 'post' : 'posts'}`);
+    return { delivered };
+}
+
+module.exports = {
+    name: 'slack',
+    LIMITS,
+    buildPosts,
+    send
+};
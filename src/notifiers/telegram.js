@@ -0,0 +1,122 @@
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const { describeItem, truncate, joinLines } = require('./message');
+const log = createLogger('notifier');
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Longest NFT name and item section, so an item always fits a message next to the header
+const MAX_NAME_LENGTH = 256;
+const MAX_SECTION_LENGTH = 3000;
+
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build the HTML section for a single message item
+ * Lines are escaped one by one, so shortening the section never cuts a tag or entity
+ * @param {Object} item - Message item
+ * @returns {string} HTML formatted section
+ */
+function buildSection(item) {
+    const [name, ...lines] = describeItem(item);
+    const url = lines.pop();
+    return joinLines([
+        `<a href="${escapeHtml(url)}">${escapeHtml(truncate(name, MAX_NAME_LENGTH))}</a>`,
+        ...lines.map(escapeHtml)
+    ], MAX_SECTION_LENGTH);
+}
+
+/**
+ * Build the Telegram messages of a rare NFT message, splitting its items across as many
+ * messages as the length limit needs
+ * @param {Object} message - Rare NFT message
+ * @returns {Array<Object>} Messages with their HTML text and the mint addresses of their items
+ */
+function buildTexts(message) {
+    const header = part => `<b>${escapeHtml(truncate(message.title, MAX_NAME_LENGTH))}</b>\n${escapeHtml(`${message.summary}${part}`)}`;
+    // Leave room in every message for a "part N of N" label on the header
+    const partLength = ` (part ${message.items.length + 1} of ${message.items.length + 1})`.length;
+    const limit = MAX_MESSAGE_LENGTH - header('').length - partLength;
+
+    const chunks = [{ sections: [], mints: [], length: 0 }];
+    message.items.forEach(item => {
+        const section = `\n\n${buildSection(item)}`;
+        let chunk = chunks[chunks.length - 1];
+        if (chunk.sections.length > 0 && chunk.length + section.length > limit) {
+            chunk = { sections: [], mints: [], length: 0 };
+            chunks.push(chunk);
+        }
+        chunk.sections.push(section);
+        chunk.mints.push(item.mintAddress);
+        chunk.length += section.length;
+    });
+
+    return chunks.map((chunk, index) => {
+        const part = chunks.length > 1 ? ` (part ${index + 1} of ${chunks.length})` : '';
+        return {
+            text: header(part) + chunk.sections.join(''),
+            mints: chunk.mints
+        };
+    });
+}
+
+/**
+ * Sends a rare NFT message through the Telegram bot API, split across as many messages as needed
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Telegram channel config with apiUrl, botToken and chatId
+ * @param {Object} [posts] - Hooks for the hourly message cap
+ * @param {Function} [posts.canPost] - Whether another post may go out
+ * @param {Function} [posts.posted] - Records a post that went out
+ * @returns {Promise<Object|boolean>} { delivered } with the mint addresses of the items sent,
+ *   or false when nothing was sent
+ */
+async function send(message, options, { canPost = () => true, posted = () => {} } = {}) {
+    if (!options.botToken || !options.chatId) {
+        log('Telegram bot token or chat id not configured');
+        return false;
+    }
+
+    const apiUrl = options.apiUrl || 'https://api.telegram.org';
+    const texts = buildTexts(message);
+    const delivered = [];
+    for (let index = 0; index < texts.length; index++) {
+        if (!canPost()) {
+            log.warn(`Telegram is at its hourly message cap, stopped before part ${index + 1} of ${texts.length}`);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+        try {
+            await axios.post(`${apiUrl}/bot${options.botToken}/sendMessage`, {
+                chat_id: options.chatId,
+                text: texts[index].text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+            posted();
+            delivered.push(...texts[index].mints);
+        } catch (error) {
+            log.error(`Error sending Telegram notification (part ${index + 1} of ${texts.length}):`, error);
+            return delivered.length > 0 ? { delivered } : false;
+        }
+    }
+
+    log(`Sent Telegram notification for ${message.count} rare NFTs in ${texts.length} ${texts.length === 1 ? 'message' : 'messages'}`);
+    return { delivered };
+}
+
+module.exports = {
+    name: 'telegram',
+    MAX_MESSAGE_LENGTH,
+    buildTexts,
+    send
+};
@@ -0,0 +1,96 @@
+const axios = require('axios');
+const { createLogger } = require('../utils/logger');
+const log = createLogger('notifier');
+
+// Matches {{path.to.value}} placeholders in template strings
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Look up a dotted path in the message
+ * @param {Object} message - Rare NFT message
+ * @param {string} path - Dotted path such as collection.name or items.0.url
+ * @returns {any} Value at the path, or undefined
+ */
+function lookup(message, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), message);
+}
+
+/**
+ * Render a payload template against the message
+ * A string that is exactly one placeholder is replaced by the raw value (so arrays and
+ * objects such as {{items}} keep their JSON shape); placeholders inside longer strings
+ * are replaced by their text
+ * @param {any} template - Template value from config
+ * @param {Object} message - Rare NFT message
+ * @returns {any} Rendered payload
+ */
+function renderTemplate(template, message) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            return lookup(message, whole[1]);
+        }
+        return template.replace(PLACEHOLDER, (match, path) => {
+            const value = lookup(message, path);
+            return value == null ? '' : String(value);
+        });
+    }
+
+    if (Array.isArray(template)) {
+        return template.map(value => renderTemplate(value, message));
+    }
+
+    if (template && typeof template === 'object') {
+        const rendered = {};
+        Object.entries(template).forEach(([key, value]) => {
+            rendered[key] = renderTemplate(value, message);
+        });
+        return rendered;
+    }
+
+    return template;
+}
+
+/**
+ * Sends a rare NFT message to a generic JSON webhook
+ * Without a template the message model itself is sent as the payload
+ * @param {Object} message - Rare NFT message
+ * @param {Object} options - Webhook channel config with url, method, headers and template
+ * @param {Object} [posts] - Hooks for the hourly message cap
+ * @param {Function} [posts.canPost] - Whether another post may go out
+ * @param {Function} [posts.posted] - Records a post that went out
+ * @returns {Promise<Object|boolean>} { delivered } with the mint addresses of the items sent, or false on failure
+ */
+async function send(message, options, { canPost = () => true, posted = () => {} } = {}) {
+    if (!options.url) {
+        log('Webhook URL not configured');
+        return false;
+    }
+    if (!canPost()) {
+        log.warn('Webhook is at its hourly message cap');
+        return false;
+    }
+
+    try {
+        const payload = options.template ? renderTemplate(options.template, message) : message;
+        await axios.request({
+            url: options.url,
+            method: options.method || 'POST',
+            headers: { ...(options.headers || {}) },
+            data: payload
+        });
+            posted();
+
+        log(`Sent webhook notification for ${message.count} rare NFTs`);
+        return { delivered: message.items.map(item => item.mintAddress) };
+    } catch (error) {
+        log.error('Error sending webhook notification:', error);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'webhook',
+    renderTemplate,
+    send
+};
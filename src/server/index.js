@@ -0,0 +1,235 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { createLogger } = require('../utils/logger');
+const { getCacheStatus } = require('../utils/cache');
+const { getAlertHistory, getOutcomeStats } = require('../utils/history');
+const { renderMetrics } = require('../utils/metrics');
+const log = createLogger('server');
+
+/**
+ * HTTP API and dashboard for a running watch. The JSON endpoints read the live state of
+ * the collections watched by a Sniper and the cache and history in the database:
+ *
+ *   GET  /api/collections                   Watched collections with their last scan
+ *   GET  /api/collections/:symbol           One collection, with its cache status and outcome statistics
+ *   GET  /api/collections/:symbol/listings  Rare listings found by the last scan
+ *   GET  /api/collections/:symbol/traits    Trait distribution from the last scan
+ *   GET  /api/alerts[?collection=&limit=]   Alert history, newest first, with each alert's outcome
+ *   GET  /api/outcomes[?collection=]        Outcome statistics of alerts per collection
+ *   GET  /api/cache                         Cache status of every cached collection
+ *   POST /api/collections/:symbol/scan      Start a scan now
+ *   POST /api/collections/:symbol/pause     Pause scheduled scans
+ *   POST /api/collections/:symbol/resume    Resume scheduled scans
+ *
+ * GET / serves the dashboard page and GET /metrics the Prometheus metrics. When server.token
+ * is set, API and metrics requests need it as a bearer token or a token query parameter.
+ * POST requests always need a token, so other web pages cannot start or pause scans through
+ * the browser: without server.token a random one is made at startup and logged.
+ */
+
+const DASHBOARD_FILE = path.join(__dirname, 'dashboard.html');
+
+/**
+ * Describe a watched collection for the API
+ * @param {Object} collection - Watched collection state
+ * @returns {Object} Collection summary
+ */
+function describeCollection(collection) {
+    const { latest } = collection;
+    return {
+        symbol: collection.symbol,
+        name: latest ? latest.collection.name : null,
+        marketplace: collection.marketplace.name,
+        paused: collection.paused,
+        scanning: collection.isScanRunning,
+        scanIntervalMinutes: collection.settings.scanIntervalMinutes,
+        lastScan: collection.lastScan,
+        nextScanAt: collection.nextScanAt,
+        totalNFTs: latest ? latest.totalNFTs : null,
+        floorPrice: latest ? latest.floorPrice : null,
+        floorPriceLabel: latest ? latest.floorPriceLabel : null,
+        listedCount: latest ? latest.listedCount : null,
+        rareListingCount: latest ? latest.rareListings.length : null,
+        seenCount: collection.seenRareNFTs.size
+    };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {any} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Look up the watched collection of a route, answering 404 when it is not watched
+ * @param {http.ServerResponse} res - Response
+ * @param {Sniper} sniper - Sniper watching the collections
+ * @param {string} symbol - Collection symbol from the route
+ * @returns {Object|null} Watched collection state
+ */
+function findCollection(res, sniper, symbol) {
+    const collection = sniper.getWatchedCollection(symbol);
+    if (!collection) {
+        sendJson(res, 404, { error: `Collection ${symbol} is not watched` });
+    }
+    return collection;
+}
+
+// Routes as [method, path pattern, handler(req, res, params, query, sniper)]
+const ROUTES = [
+    ['GET', /^\/api\/collections$/, (req, res, params, query, sniper) => {
+        sendJson(res, 200, sniper.getWatchedCollections().map(describeCollection));
+    }],
+    ['GET', /^\/api\/collections\/([^/]+)$/, (req, res, [symbol], query, sniper) => {
+        const collection = findCollection(res, sniper, symbol);
+        if (collection) {
+            const [cache] = getCacheStatus(symbol);
+            const [outcomes] = getOutcomeStats(symbol);
+            sendJson(res, 200, {
+                ...describeCollection(collection),
+                scoringMethod: collection.latest?.scoringMethod ?? null,
+                cache: cache || null,
+                outcomes: outcomes || null
+            });
+        }
+    }],
+    ['GET', /^\/api\/collections\/([^/]+)\/listings$/, (req, res, [symbol], query, sniper) => {
+        const collection = findCollection(res, sniper, symbol);
+        if (collection) {
+            sendJson(res, 200, collection.latest ? collection.latest.rareListings : []);
+        }
+    }],
+    ['GET', /^\/api\/collections\/([^/]+)\/traits$/, (req, res, [symbol], query, sniper) => {
+        const collection = findCollection(res, sniper, symbol);
+        if (collection) {
+            sendJson(res, 200, collection.latest ? collection.latest.traitDistribution : []);
+        }
+    }],
+    ['GET', /^\/api\/alerts$/, (req, res, params, query) => {
+        const limit = Math.min(Number(query.get('limit')) || 100, 1000);
+        sendJson(res, 200, getAlertHistory(query.get('collection') || undefined, limit));
+    }],
+    ['GET', /^\/api\/outcomes$/, (req, res, params, query) => {
+        sendJson(res, 200, getOutcomeStats(query.get('collection') || undefined));
+    }],
+    ['GET', /^\/api\/cache$/, (req, res) => {
+        sendJson(res, 200, getCacheStatus());
+    }],
+    ['POST', /^\/api\/collections\/([^/]+)\/scan$/, (req, res, [symbol], query, sniper) => {
+        const collection = findCollection(res, sniper, symbol);
+        if (collection) {
+            if (sniper.triggerScan(symbol)) {
+                sendJson(res, 202, describeCollection(collection));
+            } else {
+                sendJson(res, 409, { error: `A scan of ${symbol} is already running` });
+            }
+        }
+    }],
+    ['POST', /^\/api\/collections\/([^/]+)\/(pause|resume)$/, (req, res, [symbol, action], query, sniper) => {
+        if (findCollection(res, sniper, symbol)) {
+            sendJson(res, 200, describeCollection(sniper.setCollectionPaused(symbol, action === 'pause')));
+        }
+    }],
+    ['GET', /^\/metrics$/, (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(renderMetrics());
+    }]
+];
+
+/**
+ * Check the API token of a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {URLSearchParams} query - Query parameters
+ * @param {string} token - Configured token, empty to allow every request
+ * @returns {boolean} Whether the request may use the API
+ */
+function isAuthorized(req, query, token) {
+    if (!token) {
+        return true;
+    }
+    return req.headers.authorization === `Bearer ${token}` || query.get('token') === token;
+}
+
+/**
+ * Create the HTTP server
+ * @param {Sniper} sniper - Sniper watching the collections
+ * @param {Object} [options] - Server options
+ * @param {string} [options.token] - API token, defaults to config.server.token
+ * @param {number} [options.refreshSeconds] - Dashboard refresh interval, defaults to config.server.refreshSeconds
+ * @returns {http.Server} HTTP server, not yet listening, with the token POST requests need as controlToken
+ */
+function createServer(sniper, { token = config.server.token, refreshSeconds = config.server.refreshSeconds } = {}) {
+    const dashboard = fs.readFileSync(DASHBOARD_FILE, 'utf8').replace('__REFRESH_SECONDS__', String(Number(refreshSeconds) || 10));
+    const controlToken = token || crypto.randomBytes(16).toString('hex');
+
+    const server = http.createServer((req, res) => {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/' || pathname === '/index.html') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(dashboard);
+            return;
+        }
+
+        if (!pathname.startsWith('/api/') && pathname !== '/metrics') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (!isAuthorized(req, searchParams, req.method === 'GET' ? token : controlToken)) {
+            sendJson(res, 401, { error: 'Missing or wrong API token' });
+            return;
+        }
+
+        const matches = ROUTES.filter(([, pattern]) => pattern.test(pathname));
+        const route = matches.find(([method]) => method === req.method);
+        if (!route) {
+            sendJson(res, matches.length > 0 ? 405 : 404, { error: matches.length > 0 ? 'Method not allowed' : 'Not found' });
+            return;
+        }
+
+        try {
+            const [, pattern, handler] = route;
+            const params = pattern.exec(pathname).slice(1).map(decodeURIComponent);
+            handler(req, res, params, searchParams, sniper);
+        } catch (error) {
+            log.error(`Error handling ${req.method} ${pathname}:`, error);
+            sendJson(res, 500, { error: 'Internal error' });
+        }
+    });
+    server.controlToken = controlToken;
+    return server;
+}
+
+/**
+ * Start the HTTP server on the configured host and port
+ * @param {Sniper} sniper - Sniper watching the collections
+ * @param {Object} [options] - Listen options
+ * @param {string} [options.host] - Host to bind, defaults to config.server.host
+ * @param {number} [options.port] - Port, defaults to config.server.port
+ * @returns {http.Server} Listening HTTP server
+ */
+function startServer(sniper, { host = config.server.host, port = config.server.port } = {}) {
+    const server = createServer(sniper);
+    server.on('error', error => log.error(`Error in HTTP server on ${host}:${port}:`, error));
+    server.listen(port, host, () => {
+        log(`Dashboard and API listening on http://${host}:${port}`);
+        if (!config.server.token) {
+            log(`No server.token set; open the dashboard as http://${host}:${port}/?token=${server.controlToken} to start and pause scans`);
+        }
+    });
+    return server;
+}
+
+module.exports = {
+    createServer,
+    startServer
+};
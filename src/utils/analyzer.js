@@ -1,5 +1,21 @@
-const { log } = require('./logger');
+const { createLogger } = require('./logger');
 const config = require('config');
+const log = createLogger('analyzer');
+
+/**
+ * Rarity scoring methods. Each method scores a single trait value from its
+ * probability in the collection and the number of values its trait type has;
+ * an NFT's score is the sum over all of its trait types.
+ */
+const SCORING_METHODS = {
+    // Sum of 1 / frequency for each trait (rarity.tools style)
+    inverseFrequency: (probability) => 1 / probability,
+    // Information content in bits (-log2 p), normalized by collection entropy below
+    informationContent: (probability) => -Math.log2(probability),
+    // Inverse frequency weighted so trait types with many values don't dominate
+    traitNormalized: (probability, valueCount, averageValueCount) =>
+        (1 / probability) * (averageValueCount / valueCount)
+};
 
 /**
  * Flatten NFT attributes into a more usable format
@@ -30,12 +46,147 @@ function normalizeNFT(nft) {
     return normalized;
 }
 
+/**
+ * Score an NFT's traits against the collection trait counts
+ * @param {Object} nft - Normalized NFT object
+ * @param {Object} traitAnalysis - Result from countTraits
+ * @returns {number} Rarity score, higher is rarer
+ */
+function scoreNFT(nft, traitAnalysis) {
+    const { traitCounts, traitTypes, totalNFTs, scoringMethod, entropy, averageValueCount } = traitAnalysis;
+    const scoreTrait = SCORING_METHODS[scoringMethod];
+
+    let score = 0;
+    traitTypes.forEach(type => {
+        const value = nft.traits[type] || 'None';
+        // Values never seen in the collection are treated as one of one
+        const count = traitCounts[type][value] ? traitCounts[type][value].count : 1;
+        const valueCount = Object.keys(traitCounts[type]).length;
+        score += scoreTrait(count / totalNFTs, valueCount, averageValueCount);
+    });
+
+    if (scoringMethod === 'informationContent' && entropy > 0) {
+        score = score / entropy;
+    }
+
+    return parseFloat(score.toFixed(4));
+}
+
+/**
+ * Get the rarity rank of an NFT within the collection
+ * NFTs that are not part of the analyzed collection are ranked by where their
+ * score would fall among the collection scores
+ * @param {Object} nft - Normalized NFT object
+ * @param {Object} traitAnalysis - Result from countTraits
+ * @returns {Object} Score and rank (1 is the rarest)
+ */
+function getRarityRank(nft, traitAnalysis) {
+    const ranked = traitAnalysis.rankings[nft.mintAddress];
+    if (ranked) {
+        return ranked;
+    }
+
+    const score = scoreNFT(nft, traitAnalysis);
+    const rank = traitAnalysis.sortedScores.filter(collectionScore => collectionScore > score).length + 1;
+    return { score, rank };
+}
+
+/**
+ * Score and rank every NFT in the collection
+ * NFTs with equal scores share a rank
+ * @param {Array} nfts - Array of normalized NFT objects
+ * @param {Object} traitAnalysis - Trait counts and scoring method
+ * @returns {Object} Map of mint addresses to score and rank, and collection scores sorted descending
+ */
+function rankCollection(nfts, traitAnalysis) {
+    const scored = [];
+    const seenMints = new Set();
+
+    nfts.forEach(nft => {
+        if (seenMints.has(nft.mintAddress)) return;
+        seenMints.add(nft.mintAddress);
+        scored.push({ mintAddress: nft.mintAddress, score: scoreNFT(nft, traitAnalysis) });
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+
+    const rankings = {};
+    scored.forEach((entry, index) => {
+        const previous = scored[index - 1];
+        const rank = previous && previous.score === entry.score
+            ? rankings[previous.mintAddress].rank
+            : index + 1;
+        rankings[entry.mintAddress] = { score: entry.score, rank };
+    });
+
+    return { rankings, sortedScores: scored.map(entry => entry.score) };
+}
+
+/**
+ * Get every combination of a given size from a list of trait types
+ * @param {Array<string>} types - Trait types
+ * @param {number} size - Number of trait types in each combination
+ * @returns {Array<Array<string>>} Trait type combinations, in the order of types
+ */
+function getTypeCombinations(types, size) {
+    const combinations = [];
+    const current = [];
+
+    const pick = (start) => {
+        if (current.length === size) {
+            combinations.push([...current]);
+            return;
+        }
+        for (let i = start; i <= types.length - (size - current.length); i++) {
+            current.push(types[i]);
+            pick(i + 1);
+            current.pop();
+        }
+    };
+
+    if (size >= 1 && size <= types.length) {
+        pick(0);
+    }
+    return combinations;
+}
+
+/**
+ * Build the key identifying an NFT's values for a set of trait types
+ * @param {Object} nft - Normalized NFT object
+ * @param {Array<string>} types - Trait types
+ * @returns {string} Combination key
+ */
+function combinationKey(nft, types) {
+    return JSON.stringify(types.map(type => nft.traits[type] || 'None'));
+}
+
+/**
+ * Count occurrences of each combination of trait values in the collection
+ * Combinations are keyed first by their trait types joined with " + ", then by their values
+ * @param {Array} nfts - Array of normalized NFT objects
+ * @param {Array<Array<string>>} typeCombinations - Trait type combinations to count
+ * @returns {Object} Map of trait type combinations to value combination counts
+ */
+function countCombinations(nfts, typeCombinations) {
+    const counts = {};
+    typeCombinations.forEach(types => {
+        const typeKey = types.join(' + ');
+        counts[typeKey] = {};
+        nfts.forEach(nft => {
+            const key = combinationKey(nft, types);
+            counts[typeKey][key] = (counts[typeKey][key] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
 /**
  * Count occurrences of each trait value in the collection
  * @param {Array} nfts - Array of normalized NFT objects
- * @returns {Object} Map of trait types to occurrences
+ * @param {Object} [settings] - Rarity settings, defaults to config.raritySettings
+ * @returns {Object} Map of trait types to occurrences, with a score and rank for each NFT
  */
-function countTraits(nfts) {
+function countTraits(nfts, settings = config.raritySettings) {
     log('Analyzing trait rarity...');
     const traitCounts = {};
     const totalNFTs = nfts.length;
@@ -73,25 +224,88 @@ function countTraits(nfts) {
         });
     });
 
-    return { traitCounts, traitTypes: Array.from(traitTypes) };
+    // Collection entropy, used to normalize information content scores
+    let entropy = 0;
+    traitTypes.forEach(type => {
+        Object.values(traitCounts[type]).forEach(({ count }) => {
+            const probability = count / totalNFTs;
+            entropy -= probability * Math.log2(probability);
+        });
+    });
+
+    const scoringMethod = settings.scoringMethod || 'informationContent';
+    if (!SCORING_METHODS[scoringMethod]) {
+        throw new Error(`Unknown rarity scoring method: ${scoringMethod}`);
+    }
+
+    // Average number of values per trait type, used by traitNormalized scoring
+    const averageValueCount = traitTypes.size > 0
+        ? [...traitTypes].reduce((sum, type) => sum + Object.keys(traitCounts[type]).length, 0) / traitTypes.size
+        : 0;
+
+    const traitAnalysis = {
+        traitCounts,
+        traitTypes: Array.from(traitTypes),
+        totalNFTs,
+        scoringMethod,
+        entropy,
+        averageValueCount
+    };
+
+    // Combinations of trait values, counted across the trait types together
+    const combinationSize = settings.combinationSize || 0;
+    if (combinationSize >= 2) {
+        traitAnalysis.combinationTypes = getTypeCombinations(traitAnalysis.traitTypes, combinationSize);
+        log(`Counting ${traitAnalysis.combinationTypes.length} trait combinations of ${combinationSize} traits...`);
+        traitAnalysis.combinationCounts = countCombinations(nfts, traitAnalysis.combinationTypes);
+    }
+
+    // Full trait sets, to find NFTs that look identical to others
+    if (settings.traitSetAnalysis) {
+        traitAnalysis.traitSetCounts = countCombinations(nfts, [traitAnalysis.traitTypes])[traitAnalysis.traitTypes.join(' + ')];
+        const duplicates = Object.values(traitAnalysis.traitSetCounts).filter(count => count > 1).length;
+        log(`Found ${duplicates} trait sets shared by more than one NFT`);
+    }
+
+    log(`Scoring ${totalNFTs} NFTs using the ${scoringMethod} method...`);
+    Object.assign(traitAnalysis, rankCollection(nfts, traitAnalysis));
+
+    return traitAnalysis;
 }
 
 /**
  * Analyze NFTs to identify rare ones based on traits
+ * Every NFT gets its rarity score, rank, per-trait rarity details and rare trait count,
+ * including the ones that are not rare by these settings. With combination
+ * analysis enabled, rare combinations of trait values are reported in the rarity details
+ * (keyed by their trait types joined with " + ") and count as rare traits, and with trait
+ * set analysis enabled NFTs sharing their full trait set with others get a trait set entry,
+ * which is reported without counting as a rare trait
  * @param {Array} nfts - Array of normalized NFT objects
  * @param {Object} traitAnalysis - Result from countTraits
+ * @param {Object} [settings] - Rarity settings, defaults to config.raritySettings
  * @returns {Array} Rare NFTs that meet the rarity criteria
  */
-function findRareNFTs(nfts, traitAnalysis) {
-    const { traitCounts, traitTypes } = traitAnalysis;
-    const percentThreshold = config.raritySettings.percentThreshold;
-    const oneOfOneThreshold = config.raritySettings.oneOfOneThreshold;
+function findRareNFTs(nfts, traitAnalysis, settings = config.raritySettings) {
+    const { traitCounts, traitTypes, totalNFTs, combinationTypes, combinationCounts, traitSetCounts } = traitAnalysis;
+    const percentThreshold = settings.percentThreshold;
+    const combinationPercentThreshold = settings.combinationPercentThreshold ?? percentThreshold;
+    const oneOfOneThreshold = settings.oneOfOneThreshold;
+    const maxRank = settings.maxRank;
+    const minScore = settings.minScore;
+    const filtersConfigured = Boolean(maxRank || minScore);
+    const requireRareTrait = settings.requireRareTrait !== false;
     const rareNFTs = [];
 
     nfts.forEach(nft => {
-        let isRare = false;
+        let rareTraitCount = 0;
         const rarityDetails = {};
 
+        // Score and rank against the entire collection
+        const { score, rank } = getRarityRank(nft, traitAnalysis);
+        nft.rarityScore = score;
+        nft.rarityRank = rank;
+
         // Check each trait for rarity
         traitTypes.forEach(type => {
             const value = nft.traits[type] || 'None';
@@ -100,7 +314,7 @@ function findRareNFTs(nfts, traitAnalysis) {
             if (traitStats) {
                 // One of one trait (only one item has this trait value)
                 if (oneOfOneThreshold && traitStats.count === 1) {
-                    isRare = true;
+                    rareTraitCount++;
                     rarityDetails[type] = {
                         value,
                         count: 1,
@@ -111,7 +325,7 @@ function findRareNFTs(nfts, traitAnalysis) {
                 }
                 // Below percentage threshold
                 else if (traitStats.percentage <= percentThreshold) {
-                    isRare = true;
+                    rareTraitCount++;
                     rarityDetails[type] = {
                         value,
                         count: traitStats.count,
@@ -130,8 +344,62 @@ function findRareNFTs(nfts, traitAnalysis) {
             }
         });
 
-        if (isRare) {
-            nft.rarity = rarityDetails;
+        // Check combinations of traits that are not rare on their own
+        (combinationTypes || []).forEach(types => {
+            if (types.some(type => rarityDetails[type] && rarityDetails[type].rare)) {
+                return;
+            }
+
+            const typeKey = types.join(' + ');
+            const count = combinationCounts[typeKey][combinationKey(nft, types)];
+            if (!count) {
+                return;
+            }
+
+            const percentage = parseFloat(((count / totalNFTs) * 100).toFixed(2));
+            let reason = null;
+            if (oneOfOneThreshold && count === 1) {
+                reason = 'One of one trait combination';
+            } else if (percentage <= combinationPercentThreshold) {
+                reason = `Trait combination below ${combinationPercentThreshold}% threshold`;
+            }
+
+            if (reason) {
+                rareTraitCount++;
+                rarityDetails[typeKey] = {
+                    value: types.map(type => nft.traits[type] || 'None').join(' + '),
+                    count,
+                    percentage,
+                    rare: true,
+                    reason,
+                    combination: types
+                };
+            }
+        });
+
+        // Check whether other NFTs share the same full trait set
+        if (traitSetCounts) {
+            const count = traitSetCounts[combinationKey(nft, traitTypes)];
+            if (count > 1) {
+                rarityDetails['Trait set'] = {
+                    value: `Shared by ${count} NFTs`,
+                    count,
+                    percentage: parseFloat(((count / totalNFTs) * 100).toFixed(2)),
+                    rare: false,
+                    reason: 'Duplicate trait set'
+                };
+            }
+        }
+
+        nft.rarity = rarityDetails;
+        nft.rareTraitCount = rareTraitCount;
+
+        // Without a required rare trait, a rank or score filter alone can make an NFT a candidate
+        const isRare = rareTraitCount > 0;
+        const isCandidate = requireRareTrait ? isRare : (isRare || filtersConfigured);
+        const passesFilters = (!maxRank || rank <= maxRank) && (!minScore || score >= minScore);
+
+        if (isCandidate && passesFilters) {
             rareNFTs.push(nft);
         }
     });
@@ -140,7 +408,10 @@ function findRareNFTs(nfts, traitAnalysis) {
 }
 
 module.exports = {
+    SCORING_METHODS,
     normalizeNFT,
+    scoreNFT,
+    getRarityRank,
     countTraits,
     findRareNFTs
 }; 
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { normalizeNFT, countTraits, findRareNFTs } = require('./analyzer');
+const { filterFloorDeals, buildTraitFloors, findUnderpricedNFTs } = require('./pricing');
+const { markDelisted, getAlertReason, markNotified } = require('./seen');
+const { applyAlertRules } = require('./rules');
+const log = createLogger('backtest');
+
+/**
+ * Backtests of alert settings against a collection's listing history. Activities are
+ * replayed oldest first into a book of open listings, and the book is scanned the way a
+ * live watch would scan it every scanIntervalMinutes: rarity, floor and trait floor checks,
+ * alert rules and the seen state that suppresses repeat alerts. Each alert is then matched
+ * with the next sale of its NFT to see what it really sold for.
+ *
+ * The floor at a scan is the cheapest open listing in the book, so listings made before
+ * the first replayed activity are unknown and the early floor can read high. Alerts are
+ * reported against the cheapest other listing, so a listing that sets the floor shows
+ * how far below the rest of the market it was.
+ */
+
+/**
+ * Load a recorded activity archive
+ * @param {string} filePath - Path to the archive
+ * @returns {Object|null} Archive with symbol, marketplace, recordedAt and activities, or null on failure
+ */
+function loadArchive(filePath) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+    try {
+        const archive = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        if (!Array.isArray(archive.activities)) {
+            log.error(`Activity archive ${resolvedPath} has no activities array`);
+            return null;
+        }
+        log(`Loaded ${archive.activities.length} activities from ${resolvedPath}`);
+        return archive;
+    } catch (error) {
+        log.error(`Error loading activity archive ${resolvedPath}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Record activities in an archive, for repeatable backtests without the API
+ * @param {string} filePath - Path to write
+ * @param {Object} archive - Archive with symbol, marketplace and activities
+ * @returns {boolean} Whether the archive was written
+ */
+function saveArchive(filePath, archive) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+    try {
+        fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+        fs.writeFileSync(resolvedPath, JSON.stringify({ ...archive, recordedAt: Date.now() }, null, 2));
+        log(`Saved ${archive.activities.length} activities to ${resolvedPath}`);
+        return true;
+    } catch (error) {
+        log.error(`Error saving activity archive ${resolvedPath}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Get the percentage a price is below a floor
+ * @param {number|null} price - Price
+ * @param {number|null} floorPrice - Floor price
+ * @returns {number|null} Discount in percent, negative above the floor, or null without both prices
+ */
+function discountPercent(price, floorPrice) {
+    if (!price || !floorPrice) {
+        return null;
+    }
+    return parseFloat((((floorPrice - price) / floorPrice) * 100).toFixed(2));
+}
+
+/**
+ * Get the average of the numbers in a list, ignoring nulls
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Average to two decimals, or null without values
+ */
+function average(values) {
+    const known = values.filter(value => value !== null);
+    if (known.length === 0) {
+        return null;
+    }
+    return parseFloat((known.reduce((sum, value) => sum + value, 0) / known.length).toFixed(2));
+}
+
+/**
+ * Scan the open listings the way a live scan would, and alert the listings it picks
+ * @param {Object} state - Replay state with listings, seen state and alerts
+ * @param {Object} context - Trait analysis, normalized NFTs by mint, settings and marketplace
+ * @param {number} scanTime - Time of the scan
+ */
+function scanBook(state, { traitAnalysis, nftsByMint, settings, marketplace }, scanTime) {
+    const listedNFTs = [];
+    state.listings.forEach((listing, mintAddress) => {
+        const nft = nftsByMint.get(mintAddress);
+        if (nft) {
+            listedNFTs.push({ ...nft, price: listing.price, seller: listing.seller });
+        }
+    });
+
+    // The two cheapest listings, so each listing can be compared to the floor of the others
+    const cheapest = [...state.listings.entries()]
+        .filter(([, listing]) => listing.price > 0)
+        .sort(([, a], [, b]) => a.price - b.price)
+        .slice(0, 2);
+    const stats = { floorPrice: cheapest.length > 0 ? cheapest[0][1].price : null, listedCount: state.listings.size };
+    const otherFloor = mintAddress => {
+        const other = cheapest.find(([mint]) => mint !== mintAddress);
+        return other ? other[1].price : null;
+    };
+
+    const rareNFTs = findRareNFTs(listedNFTs, traitAnalysis, settings);
+    const floorDeals = filterFloorDeals(rareNFTs, stats, traitAnalysis.totalNFTs, settings);
+    const traitFloors = buildTraitFloors(listedNFTs, traitAnalysis);
+    const underpricedNFTs = findUnderpricedNFTs(listedNFTs, traitFloors, stats.floorPrice, settings);
+    filterFloorDeals(underpricedNFTs, stats, traitAnalysis.totalNFTs, settings).forEach(nft => {
+        if (!floorDeals.includes(nft)) {
+            floorDeals.push(nft);
+        }
+    });
+    const alertNFTs = applyAlertRules(floorDeals, settings.alertRules, marketplace);
+
+    markDelisted(state.seen, new Set(listedNFTs.map(nft => nft.mintAddress)), scanTime);
+    alertNFTs.forEach(nft => {
+        const reason = getAlertReason(state.seen.get(nft.mintAddress), nft, settings);
+        if (!reason) {
+            return;
+        }
+        markNotified(state.seen, nft, scanTime);
+        const floorPrice = otherFloor(nft.mintAddress);
+        state.alerts.push({
+            mintAddress: nft.mintAddress,
+            name: nft.name,
+            rarityRank: nft.rarityRank,
+            alertedAt: scanTime,
+            reason,
+            rule: nft.matchedRule,
+            price: nft.price,
+            seller: nft.seller,
+            floorPrice,
+            discountPercent: discountPercent(nft.price, floorPrice)
+        });
+    });
+    state.scans++;
+}
+
+/**
+ * Match each alert with the next sale of its NFT
+ * The realized discount is how far below the floor of the other listings at alert time the NFT then sold
+ * @param {Array} alerts - Alerts from the replay
+ * @param {Array} sales - Sales in time order
+ */
+function addOutcomes(alerts, sales) {
+    alerts.forEach(alert => {
+        const sale = sales.find(candidate => candidate.mintAddress === alert.mintAddress && candidate.time > alert.alertedAt);
+        alert.soldAt = sale ? sale.time : null;
+        alert.soldPrice = sale ? sale.price : null;
+        alert.realizedDiscountPercent = sale ? discountPercent(sale.price, alert.floorPrice) : null;
+    });
+}
+
+/**
+ * Replay a collection's activities against one set of settings
+ * Only scans with listing changes since the previous scan are run; a scan of an unchanged
+ * book alerts nothing new, so skipping it gives the same result
+ * @param {Array} collectionNFTs - Token metadata of the collection
+ * @param {Array} activities - Activities from the marketplace adapter, in any order
+ * @param {Object} settings - Merged rarity, price and alert settings
+ * @param {Object} marketplace - Marketplace adapter
+ * @returns {Object} Number of scans, alerts with their sale outcome, and a summary
+ */
+function runBacktest(collectionNFTs, activities, settings, marketplace) {
+    const nfts = collectionNFTs.map(nft => normalizeNFT(nft)).filter(nft => nft !== null);
+    const traitAnalysis = countTraits(nfts, settings);
+    const context = {
+        traitAnalysis,
+        nftsByMint: new Map(nfts.map(nft => [nft.mintAddress, nft])),
+        settings,
+        marketplace
+    };
+
+    const sorted = [...activities].sort((a, b) => a.time - b.time);
+    const sales = sorted.filter(activity => activity.type === 'sale');
+    const state = { listings: new Map(), seen: new Map(), alerts: [], scans: 0 };
+    const interval = Math.max(1, settings.scanIntervalMinutes * 60000);
+    const start = sorted.length > 0 ? sorted[0].time : 0;
+
+    let index = 0;
+    while (index < sorted.length) {
+        // The first scan at or after the next activity, on the schedule of a watch started at the first activity
+        const scanTime = start + Math.ceil((sorted[index].time - start) / interval) * interval;
+        while (index < sorted.length && sorted[index].time <= scanTime) {
+            const { type, mintAddress, price, seller } = sorted[index++];
+            if (type === 'list') {
+                state.listings.set(mintAddress, { price, seller });
+            } else {
+                state.listings.delete(mintAddress);
+            }
+        }
+        scanBook(state, context, scanTime);
+    }
+
+    addOutcomes(state.alerts, sales);
+    const sold = state.alerts.filter(alert => alert.soldAt !== null);
+    return {
+        scans: state.scans,
+        alerts: state.alerts,
+        summary: {
+            alerts: state.alerts.length,
+            nfts: new Set(state.alerts.map(alert => alert.mintAddress)).size,
+            sold: sold.length,
+            averageDiscountPercent: average(state.alerts.map(alert => alert.discountPercent)),
+            averageRealizedDiscountPercent: average(sold.map(alert => alert.realizedDiscountPercent))
+        }
+    };
+}
+
+module.exports = {
+    loadArchive,
+    saveArchive,
+    runBacktest
+};
@@ -1,31 +1,104 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('config');
-const { log } = require('./logger');
+const { createLogger } = require('./logger');
+const { openDatabase, run, runMany, all, get, transaction } = require('./database');
+const { toSeenState } = require('./seen');
+const log = createLogger('cache');
 
-// Create cache directory if it doesn't exist
+// Directory of the database and of JSON cache files from older versions
 const CACHE_DIR = path.join(process.cwd(), 'cache');
-if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-    log(`Created cache directory: ${CACHE_DIR}`);
+
+/**
+ * Migrate the flat JSON cache files (<symbol>.json and <symbol>_seen.json) into the
+ * database. Migrated files are renamed to *.migrated so they are only imported once.
+ */
+function migrateJsonCache() {
+    const files = fs.readdirSync(CACHE_DIR).filter(file => file.endsWith('.json'));
+
+    files.forEach(file => {
+        const filePath = path.join(CACHE_DIR, file);
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+            if (file.endsWith('_seen.json')) {
+                const collectionSymbol = file.slice(0, -'_seen.json'.length);
+                // Either an array of mint addresses or of seen entries
+                saveSeenRareNFTs(collectionSymbol, toSeenState(Array.isArray(data) ? data : Object.values(data)));
+            } else {
+                const collectionSymbol = file.slice(0, -'.json'.length);
+                // Keep the original fetch time so cache expiry still applies
+                writeTokens(collectionSymbol, data, fs.statSync(filePath).mtime.getTime());
+            }
+
+            fs.renameSync(filePath, `${filePath}.migrated`);
+            log(`Migrated cache file ${file} to the database`);
+        } catch (error) {
+            log.error(`Error migrating cache file ${file}:`, error);
+        }
+    });
 }
 
 /**
- * Get the cache file path for a collection
- * @param {string} collectionSymbol - Collection symbol
- * @returns {string} Cache file path
+ * Open the database behind the cache and migrate any JSON cache files into it
+ * Must be awaited once before any other cache function is used
+ * @param {Object} [options] - Open options
+ * @param {boolean} [options.readOnly] - Open the database read-only, for commands that do
+ *   not save anything, so they can run next to a watch (see openDatabase)
+ * @returns {Promise<void>}
  */
-function getCacheFilePath(collectionSymbol) {
-    return path.join(CACHE_DIR, `${collectionSymbol}.json`);
+async function initCache({ readOnly = false } = {}) {
+    if (readOnly) {
+        await openDatabase({ readOnly });
+        return;
+    }
+    if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        log(`Created cache directory: ${CACHE_DIR}`);
+    }
+    await openDatabase();
+    migrateJsonCache();
 }
 
 /**
- * Get the path for the seen rare NFTs file
+ * Write tokens and traits of a collection to the cache
  * @param {string} collectionSymbol - Collection symbol
- * @returns {string} Path to the seen rare NFTs file
+ * @param {Array} data - Token metadata from the API
+ * @param {number} syncedAt - Time the data was fetched
+ * @param {Object} [options] - Write options
+ * @param {boolean} [options.replace] - Replace all cached tokens instead of adding to them
+ * @param {Object} [options.cursor] - Sync cursor to store for the next incremental sync
+ * @param {boolean} [options.markSynced] - Store the sync time and cursor on the collection
  */
-function getSeenRareNFTsPath(collectionSymbol) {
-    return path.join(CACHE_DIR, `${collectionSymbol}_seen.json`);
+function writeTokens(collectionSymbol, data, syncedAt, { replace = true, cursor = null, markSynced = true } = {}) {
+    transaction(() => {
+        if (replace) {
+            run('DELETE FROM tokens WHERE collection = ?', [collectionSymbol]);
+            run('DELETE FROM traits WHERE collection = ?', [collectionSymbol]);
+        }
+
+        runMany(
+            'INSERT OR REPLACE INTO tokens (collection, mint_address, name, image, data, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+            data.map(nft => [collectionSymbol, nft.mintAddress, nft.name || null, nft.image || null, JSON.stringify(nft), syncedAt])
+        );
+
+        const traitRows = [];
+        data.forEach(nft => {
+            (nft.attributes || []).forEach(attr => {
+                traitRows.push([collectionSymbol, nft.mintAddress, String(attr.trait_type), attr.value == null ? null : String(attr.value)]);
+            });
+        });
+        runMany('INSERT OR REPLACE INTO traits (collection, mint_address, trait_type, value) VALUES (?, ?, ?, ?)', traitRows);
+
+        if (replace && !markSynced) {
+            // A partial rebuild leaves nothing to sync incrementally from
+            run('UPDATE collections SET synced_at = NULL, sync_cursor = NULL WHERE symbol = ?', [collectionSymbol]);
+        } else if (markSynced) {
+            run(`INSERT INTO collections (symbol, synced_at, sync_cursor, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(symbol) DO UPDATE SET synced_at = excluded.synced_at, sync_cursor = excluded.sync_cursor, updated_at = excluded.updated_at`,
+            [collectionSymbol, syncedAt, cursor ? JSON.stringify(cursor) : null, Date.now()]);
+        }
+    });
 }
 
 /**
@@ -34,120 +107,210 @@ function getSeenRareNFTsPath(collectionSymbol) {
  * @returns {boolean} Whether valid cache exists
  */
 function cacheExists(collectionSymbol) {
-    const cachePath = getCacheFilePath(collectionSymbol);
-
-    if (!fs.existsSync(cachePath)) {
-        return false;
-    }
-
     try {
-        const stats = fs.statSync(cachePath);
-        const fileModifiedTime = stats.mtime.getTime();
+        const collection = get('SELECT synced_at FROM collections WHERE symbol = ?', [collectionSymbol]);
+        if (!collection || !collection.synced_at) {
+            return false;
+        }
+
         const currentTime = new Date().getTime();
 
         // Check if cache is expired
         const cacheExpireHours = config.collectionAnalysis.cacheExpireHours;
         const cacheExpirationMs = cacheExpireHours * 60 * 60 * 1000;
 
-        if (currentTime - fileModifiedTime > cacheExpirationMs) {
+        if (currentTime - collection.synced_at > cacheExpirationMs) {
             log(`Cache for ${collectionSymbol} is expired (${cacheExpireHours} hours)`);
             return false;
         }
 
         return true;
     } catch (error) {
-        log(`Error checking cache for ${collectionSymbol}:`, error);
+        log.error(`Error checking cache for ${collectionSymbol}:`, error);
         return false;
     }
 }
 
 /**
- * Save collection data to cache
+ * Get the cache status of every cached collection, or of a single one
+ * @param {string} [collectionSymbol] - Only this collection
+ * @returns {Array<Object>} Collections with name, cached token count, sync time, expiry and seen count
+ */
+function getCacheStatus(collectionSymbol) {
+    const where = collectionSymbol ? 'WHERE c.symbol = ?' : '';
+    const rows = all(
+        `SELECT c.symbol, c.name, c.synced_at AS syncedAt, c.sync_cursor IS NOT NULL AS hasCursor,
+            (SELECT COUNT(*) FROM tokens t WHERE t.collection = c.symbol) AS tokens,
+            (SELECT COUNT(*) FROM seen_nfts s WHERE s.collection = c.symbol) AS seen
+            FROM collections c ${where} ORDER BY c.symbol`,
+        collectionSymbol ? [collectionSymbol] : []
+    );
+
+    const cacheExpirationMs = config.collectionAnalysis.cacheExpireHours * 60 * 60 * 1000;
+    return rows.map(row => ({
+        ...row,
+        hasCursor: Boolean(row.hasCursor),
+        expired: !row.syncedAt || Date.now() - row.syncedAt > cacheExpirationMs
+    }));
+}
+
+/**
+ * Save collection data to cache, replacing anything cached before
  * @param {string} collectionSymbol - Collection symbol
  * @param {Array} data - Collection data to cache
+ * @param {Object} [options] - Sync state to store
+ * @param {boolean} [options.synced] - Mark the cache as fresh and store the cursor; false after an incomplete fetch
+ * @param {Object} [options.cursor] - Sync cursor for the next incremental sync
  * @returns {boolean} Whether cache was saved successfully
  */
-function saveToCache(collectionSymbol, data) {
+function saveToCache(collectionSymbol, data, { synced = true, cursor = null } = {}) {
     if (!config.collectionAnalysis.cacheFullCollectionData) {
         return false;
     }
 
     try {
-        const cachePath = getCacheFilePath(collectionSymbol);
-        fs.writeFileSync(cachePath, JSON.stringify(data, null, 2));
+        writeTokens(collectionSymbol, data, Date.now(), { cursor, markSynced: synced });
         log(`Saved ${data.length} NFTs to cache for collection ${collectionSymbol}`);
         return true;
     } catch (error) {
-        log(`Error saving cache for ${collectionSymbol}:`, error);
+        log.error(`Error saving cache for ${collectionSymbol}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Add NFTs to the cached collection data
+ * After a complete sync the cache is also marked as fresh with the new cursor; otherwise
+ * (for example when adding metadata fetched for listings, or after a sync that stopped
+ * early) the sync time and cursor are left untouched
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Array} data - New collection data to cache
+ * @param {Object} [options] - Sync state to store
+ * @param {boolean} [options.synced] - Mark the cache as fresh and store the cursor
+ * @param {Object} [options.cursor] - Sync cursor for the next incremental sync
+ * @returns {boolean} Whether cache was updated successfully
+ */
+function addToCache(collectionSymbol, data, { synced = false, cursor = null } = {}) {
+    if (!config.collectionAnalysis.cacheFullCollectionData) {
+        return false;
+    }
+
+    try {
+        writeTokens(collectionSymbol, data, Date.now(), { replace: false, cursor, markSynced: synced });
+        log(`Added ${data.length} NFTs to cache for collection ${collectionSymbol}`);
+        return true;
+    } catch (error) {
+        log.error(`Error updating cache for ${collectionSymbol}:`, error);
         return false;
     }
 }
 
+/**
+ * Get the state needed for an incremental sync of a collection
+ * @param {string} collectionSymbol - Collection symbol
+ * @returns {Object} Sync cursor (or null) and the set of cached mint addresses
+ */
+function getSyncState(collectionSymbol) {
+    try {
+        const collection = get('SELECT sync_cursor FROM collections WHERE symbol = ?', [collectionSymbol]);
+        const knownMints = new Set(all('SELECT mint_address FROM tokens WHERE collection = ?', [collectionSymbol])
+            .map(row => row.mint_address));
+
+        return {
+            cursor: collection && collection.sync_cursor ? JSON.parse(collection.sync_cursor) : null,
+            knownMints
+        };
+    } catch (error) {
+        log.error(`Error loading sync state for ${collectionSymbol}:`, error);
+        return { cursor: null, knownMints: new Set() };
+    }
+}
+
 /**
  * Load collection data from cache
  * @param {string} collectionSymbol - Collection symbol
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.ignoreExpiry] - Load the cached data even if it has expired
  * @returns {Array|null} Cached collection data or null if no valid cache
  */
-function loadFromCache(collectionSymbol) {
+function loadFromCache(collectionSymbol, { ignoreExpiry = false } = {}) {
     if (!config.collectionAnalysis.cacheFullCollectionData) {
         return null;
     }
 
-    if (!cacheExists(collectionSymbol)) {
+    if (!ignoreExpiry && !cacheExists(collectionSymbol)) {
         return null;
     }
 
     try {
-        const cachePath = getCacheFilePath(collectionSymbol);
-        const cachedData = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        const cachedData = all('SELECT data FROM tokens WHERE collection = ?', [collectionSymbol])
+            .map(row => JSON.parse(row.data));
         log(`Loaded ${cachedData.length} NFTs from cache for collection ${collectionSymbol}`);
         return cachedData;
     } catch (error) {
-        log(`Error loading cache for ${collectionSymbol}:`, error);
+        log.error(`Error loading cache for ${collectionSymbol}:`, error);
         return null;
     }
 }
 
 /**
- * Save seen rare NFTs to a file to persist between runs
+ * Save seen rare NFTs to persist between runs
  * @param {string} collectionSymbol - Collection symbol
- * @param {Set} seenRareNFTs - Set of seen rare NFT mint addresses
+ * @param {Map} seenRareNFTs - Map of seen rare NFT mint addresses to seen entries
  * @returns {boolean} Whether save was successful
  */
 function saveSeenRareNFTs(collectionSymbol, seenRareNFTs) {
     try {
-        const filePath = getSeenRareNFTsPath(collectionSymbol);
-        const seenArray = Array.from(seenRareNFTs);
-        fs.writeFileSync(filePath, JSON.stringify(seenArray, null, 2));
+        const seenArray = Array.from(seenRareNFTs.values());
+        const seenAt = Date.now();
+        transaction(() => {
+            run('DELETE FROM seen_nfts WHERE collection = ?', [collectionSymbol]);
+            runMany(
+                `INSERT OR REPLACE INTO seen_nfts (collection, mint_address, seen_at, seller, price, notified_at, delisted_at, relisted_after_ms)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                seenArray.map(entry => [
+                    collectionSymbol,
+                    entry.mintAddress,
+                    seenAt,
+                    entry.seller,
+                    entry.price,
+                    entry.notifiedAt,
+                    entry.delistedAt,
+                    entry.relistedAfterMs
+                ])
+            );
+        });
         log(`Saved ${seenArray.length} seen rare NFTs for collection ${collectionSymbol}`);
         return true;
     } catch (error) {
-        log(`Error saving seen rare NFTs for ${collectionSymbol}:`, error);
+        log.error(`Error saving seen rare NFTs for ${collectionSymbol}:`, error);
         return false;
     }
 }
 
 /**
- * Load seen rare NFTs from file
+ * Load seen rare NFTs
  * @param {string} collectionSymbol - Collection symbol
- * @returns {Set} Set of seen rare NFT mint addresses
+ * @returns {Map} Map of seen rare NFT mint addresses to seen entries
  */
 function loadSeenRareNFTs(collectionSymbol) {
-    const filePath = getSeenRareNFTsPath(collectionSymbol);
-
-    if (!fs.existsSync(filePath)) {
-        log(`No saved seen rare NFTs file found for ${collectionSymbol}`);
-        return new Set();
-    }
-
     try {
-        const seenArray = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        const seenSet = new Set(seenArray);
-        log(`Loaded ${seenSet.size} seen rare NFTs for collection ${collectionSymbol}`);
-        return seenSet;
+        const rows = all(
+            `SELECT mint_address AS mintAddress, seller, price, notified_at AS notifiedAt, delisted_at AS delistedAt,
+                    relisted_after_ms AS relistedAfterMs
+                FROM seen_nfts WHERE collection = ?`,
+            [collectionSymbol]
+        );
+        if (rows.length === 0) {
+            log(`No saved seen rare NFTs found for ${collectionSymbol}`);
+        }
+
+        const seen = toSeenState(rows);
+        log(`Loaded ${seen.size} seen rare NFTs for collection ${collectionSymbol}`);
+        return seen;
     } catch (error) {
-        log(`Error loading seen rare NFTs for ${collectionSymbol}:`, error);
-        return new Set();
+        log.error(`Error loading seen rare NFTs for ${collectionSymbol}:`, error);
+        return new Map();
     }
 }
 
@@ -158,21 +321,26 @@ function loadSeenRareNFTs(collectionSymbol) {
  */
 function clearCache(collectionSymbol) {
     try {
-        const cachePath = getCacheFilePath(collectionSymbol);
-        if (fs.existsSync(cachePath)) {
-            fs.unlinkSync(cachePath);
-            log(`Cleared cache for collection ${collectionSymbol}`);
-        }
+        transaction(() => {
+            run('DELETE FROM tokens WHERE collection = ?', [collectionSymbol]);
+            run('DELETE FROM traits WHERE collection = ?', [collectionSymbol]);
+            run('UPDATE collections SET synced_at = NULL, sync_cursor = NULL WHERE symbol = ?', [collectionSymbol]);
+        });
+        log(`Cleared cache for collection ${collectionSymbol}`);
         return true;
     } catch (error) {
-        log(`Error clearing cache for ${collectionSymbol}:`, error);
+        log.error(`Error clearing cache for ${collectionSymbol}:`, error);
         return false;
     }
 }
 
 module.exports = {
+    initCache,
     cacheExists,
+    getCacheStatus,
     saveToCache,
+    addToCache,
+    getSyncState,
     loadFromCache,
     saveSeenRareNFTs,
     loadSeenRareNFTs,
@@ -0,0 +1,444 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const initSqlJs = require('sql.js');
+const { createLogger } = require('./logger');
+const log = createLogger('cache');
+
+// Schema migrations, applied in order. PRAGMA user_version holds the number applied so far.
+const MIGRATIONS = [
+    `
+    CREATE TABLE collections (
+        symbol TEXT PRIMARY KEY,
+        name TEXT,
+        synced_at INTEGER,
+        updated_at INTEGER
+    );
+    CREATE TABLE tokens (
+        collection TEXT NOT NULL,
+        mint_address TEXT NOT NULL,
+        name TEXT,
+        image TEXT,
+        data TEXT NOT NULL,
+        updated_at INTEGER,
+        PRIMARY KEY (collection, mint_address)
+    );
+    CREATE TABLE traits (
+        collection TEXT NOT NULL,
+        mint_address TEXT NOT NULL,
+        trait_type TEXT NOT NULL,
+        value TEXT,
+        PRIMARY KEY (collection, mint_address, trait_type)
+    );
+    CREATE TABLE scans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        completed_at INTEGER,
+        floor_price INTEGER,
+        listed_count INTEGER
+    );
+    CREATE TABLE listing_snapshots (
+        scan_id INTEGER NOT NULL,
+        collection TEXT NOT NULL,
+        mint_address TEXT NOT NULL,
+        price INTEGER,
+        seller TEXT,
+        rarity_rank INTEGER,
+        rarity_score REAL,
+        PRIMARY KEY (scan_id, mint_address)
+    );
+    CREATE INDEX listing_snapshots_mint ON listing_snapshots (collection, mint_address);
+    CREATE TABLE alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        mint_address TEXT NOT NULL,
+        name TEXT,
+        price INTEGER,
+        seller TEXT,
+        rarity_rank INTEGER,
+        channels TEXT,
+        sent_at INTEGER NOT NULL
+    );
+    CREATE INDEX alerts_collection ON alerts (collection, sent_at);
+    CREATE TABLE seen_nfts (
+        collection TEXT NOT NULL,
+        mint_address TEXT NOT NULL,
+        seen_at INTEGER,
+        PRIMARY KEY (collection, mint_address)
+    );
+    `,
+    `
+    ALTER TABLE collections ADD COLUMN sync_cursor TEXT;
+    `,
+    `
+    ALTER TABLE seen_nfts ADD COLUMN seller TEXT;
+    ALTER TABLE seen_nfts ADD COLUMN price INTEGER;
+    ALTER TABLE seen_nfts ADD COLUMN notified_at INTEGER;
+    ALTER TABLE seen_nfts ADD COLUMN delisted_at INTEGER;
+    UPDATE seen_nfts SET notified_at = seen_at;
+    ALTER TABLE alerts ADD COLUMN reason TEXT;
+    `,
+    `
+    ALTER TABLE alerts ADD COLUMN rule TEXT;
+    `,
+    `
+    ALTER TABLE alerts ADD COLUMN outcome TEXT;
+    ALTER TABLE alerts ADD COLUMN outcome_price INTEGER;
+    ALTER TABLE alerts ADD COLUMN outcome_at INTEGER;
+    ALTER TABLE alerts ADD COLUMN buyer TEXT;
+    ALTER TABLE alerts ADD COLUMN missing_since INTEGER;
+    UPDATE alerts SET outcome = 'untracked';
+    CREATE INDEX alerts_outcome ON alerts (collection, outcome);
+    `,
+    `
+    CREATE TABLE notification_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        message TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER
+    );
+    CREATE INDEX notification_queue_collection ON notification_queue (collection);
+    `,
+    `
+    ALTER TABLE notification_queue ADD COLUMN kind TEXT NOT NULL DEFAULT 'retry';
+    ALTER TABLE notification_queue ADD COLUMN due_at INTEGER NOT NULL DEFAULT 0;
+    CREATE TABLE notification_sends (
+        channel TEXT NOT NULL,
+        sent_at INTEGER NOT NULL
+    );
+    CREATE INDEX notification_sends_channel ON notification_sends (channel, sent_at);
+    `,
+    `
+    ALTER TABLE listing_snapshots RENAME TO listing_changes;
+    ALTER TABLE listing_changes ADD COLUMN listed INTEGER NOT NULL DEFAULT 1;
+    DROP INDEX listing_snapshots_mint;
+    CREATE INDEX listing_changes_mint ON listing_changes (collection, mint_address, scan_id);
+    `,
+    `
+    ALTER TABLE seen_nfts ADD COLUMN relisted_after_ms INTEGER;
+    `
+];
+
+let db = null;
+let dbPath = null;
+// A read-only database is a snapshot of the file: changes stay in memory and are never written
+let readOnly = false;
+let transactionDepth = 0;
+// Open batches, and whether they hold changes not written to disk yet
+let batchDepth = 0;
+let dirty = false;
+
+/**
+ * Get the configured database file path
+ * @returns {string} Absolute path to the database file
+ */
+function getDatabasePath() {
+    return path.resolve(process.cwd(), config.database?.file || 'cache/rare-sniper.sqlite');
+}
+
+/**
+ * Get the lock file path of the database
+ * @returns {string} Lock file path
+ */
+function getLockPath() {
+    return `${dbPath}.lock`;
+}
+
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process id
+ * @returns {boolean} Whether the process exists
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Take the lock on the database file for this process
+ * Each process works on its own in-memory copy of the database and writes the whole file,
+ * so only one process may have it open. A lock left behind by a process that is gone is taken over.
+ * @throws {Error} If another running process holds the lock
+ */
+function acquireLock() {
+    const lockPath = getLockPath();
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const pid = Number(fs.readFileSync(lockPath, 'utf8'));
+        if (pid && pid !== process.pid && isRunning(pid)) {
+            throw new Error(`Database ${dbPath} is in use by process ${pid}; stop it before running this command`);
+        }
+        log.warn(`Removing stale database lock of process ${pid || 'unknown'}`);
+        fs.rmSync(lockPath, { force: true });
+    }
+    throw new Error(`Could not lock database ${dbPath}`);
+}
+
+/**
+ * Release the lock on the database file, if this process holds it
+ */
+function releaseLock() {
+    try {
+        if (dbPath && Number(fs.readFileSync(getLockPath(), 'utf8')) === process.pid) {
+            fs.rmSync(getLockPath(), { force: true });
+        }
+    } catch (error) {
+        // The lock file is already gone
+    }
+}
+
+/**
+ * Write the in-memory database to its file
+ * The file is replaced atomically so a crash mid-write never corrupts it
+ */
+function persist() {
+    if (readOnly) {
+        dirty = false;
+        return;
+    }
+    const tempPath = `${dbPath}.tmp`;
+    fs.writeFileSync(tempPath, Buffer.from(db.export()));
+    fs.renameSync(tempPath, dbPath);
+    dirty = false;
+}
+
+/**
+ * Write changes to disk now, or once the open batch ends
+ */
+function schedulePersist() {
+    if (batchDepth > 0) {
+        dirty = true;
+    } else {
+        persist();
+    }
+}
+
+/**
+ * Apply any schema migrations the database has not seen yet
+ */
+function migrate() {
+    const version = db.exec('PRAGMA user_version')[0].values[0][0];
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.exec('BEGIN');
+        try {
+            db.exec(MIGRATIONS[i]);
+            db.exec(`PRAGMA user_version = ${i + 1}`);
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+        log(`Applied database migration ${i + 1}`);
+    }
+    if (version < MIGRATIONS.length) {
+        persist();
+    }
+}
+
+/**
+ * Open the database file, creating it and applying migrations as needed
+ * Must be awaited once before any other database function is used. The file stays locked
+ * to this process until it exits or calls closeDatabase. A read-only open takes no lock, so
+ * commands that only read (such as cache status) work while a watch is running: they see
+ * the file as the running process last wrote it, and their own changes are never written.
+ * @param {Object} [options] - Open options
+ * @param {boolean} [options.readOnly] - Read the file without locking or writing it
+ * @returns {Promise<Object>} sql.js database
+ * @throws {Error} If another process has the database open, unless opening it read-only
+ */
+async function openDatabase({ readOnly: readOnlyOpen = false } = {}) {
+    if (db) {
+        return db;
+    }
+
+    const SQL = await initSqlJs();
+    dbPath = getDatabasePath();
+    readOnly = readOnlyOpen;
+    if (!readOnly) {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        acquireLock();
+    }
+    process.on('exit', closeDatabase);
+
+    if (fs.existsSync(dbPath)) {
+        db = new SQL.Database(fs.readFileSync(dbPath));
+        log(`Opened database${readOnly ? ' read-only' : ''}: ${dbPath}`);
+    } else {
+        db = new SQL.Database();
+        log(`Created database: ${dbPath}`);
+    }
+
+    migrate();
+    return db;
+}
+
+/**
+ * Write any pending changes, close the database and release its lock
+ * Runs on process exit, so changes of a batch cut short by exiting are not lost
+ */
+function closeDatabase() {
+    if (!db) {
+        return;
+    }
+    try {
+        if (dirty) {
+            persist();
+        }
+    } finally {
+        db.close();
+        db = null;
+        releaseLock();
+        process.removeListener('exit', closeDatabase);
+    }
+}
+
+/**
+ * Get the open database
+ * @returns {Object} sql.js database
+ */
+function getDatabase() {
+    if (!db) {
+        throw new Error('Database is not open, call openDatabase() first');
+    }
+    return db;
+}
+
+/**
+ * Run a statement that changes data
+ * Outside a transaction or batch the change is written to disk immediately
+ * @param {string} sql - SQL statement
+ * @param {Array|Object} [params] - Bound parameters
+ */
+function run(sql, params = []) {
+    getDatabase().run(sql, params);
+    if (transactionDepth === 0) {
+        schedulePersist();
+    }
+}
+
+/**
+ * Run a statement once for each set of parameters
+ * @param {string} sql - SQL statement
+ * @param {Array} paramsList - List of bound parameters
+ */
+function runMany(sql, paramsList) {
+    transaction(() => {
+        const stmt = getDatabase().prepare(sql);
+        try {
+            paramsList.forEach(params => stmt.run(params));
+        } finally {
+            stmt.free();
+        }
+    });
+}
+
+/**
+ * Query rows
+ * @param {string} sql - SQL query
+ * @param {Array|Object} [params] - Bound parameters
+ * @returns {Array<Object>} Rows as objects keyed by column name
+ */
+function all(sql, params = []) {
+    const stmt = getDatabase().prepare(sql);
+    try {
+        stmt.bind(params);
+        const rows = [];
+        while (stmt.step()) {
+            rows.push(stmt.getAsObject());
+        }
+        return rows;
+    } finally {
+        stmt.free();
+    }
+}
+
+/**
+ * Query a single row
+ * @param {string} sql - SQL query
+ * @param {Array|Object} [params] - Bound parameters
+ * @returns {Object|null} First row, or null if there are none
+ */
+function get(sql, params = []) {
+    const rows = all(sql, params);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Run a function inside a transaction and write the result to disk once it commits,
+ * or once the open batch ends
+ * Nested calls join the outer transaction
+ * @param {Function} fn - Synchronous function doing the work
+ * @returns {any} Return value of fn
+ */
+function transaction(fn) {
+    const database = getDatabase();
+    if (transactionDepth > 0) {
+        return fn();
+    }
+
+    database.exec('BEGIN');
+    transactionDepth++;
+    try {
+        const result = fn();
+        database.exec('COMMIT');
+        transactionDepth--;
+        schedulePersist();
+        return result;
+    } catch (error) {
+        transactionDepth--;
+        database.exec('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Run an async function, such as a scan, writing the changes it makes to disk once it ends
+ * instead of after every statement. Writing the whole database file is the slow part of a
+ * change, so a scan with many writes only pays for it once. Batches may overlap, such as
+ * scans of several collections; each writes the changes made so far when it ends.
+ * @param {Function} fn - Async function doing the work
+ * @returns {Promise<any>} Return value of fn
+ */
+async function batch(fn) {
+    batchDepth++;
+    try {
+        return await fn();
+    } finally {
+        batchDepth--;
+        if (dirty && db) {
+            try {
+                persist();
+            } catch (error) {
+                log.error('Error writing database:', error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    openDatabase,
+    closeDatabase,
+    getDatabase,
+    run,
+    runMany,
+    all,
+    get,
+    transaction,
+    batch
+};
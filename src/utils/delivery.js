@@ -0,0 +1,110 @@
+const config = require('config');
+const { countNotificationSends } = require('./history');
+
+/**
+ * Delivery modes for rare NFT alerts. Alerts with a rarity score of at least
+ * notifications.delivery.immediateMinScore are sent right away; the rest are held for an
+ * hourly or daily digest. During quiet hours nothing is sent, and alerts are held until the
+ * quiet hours end. A channel that reached its maxMessagesPerHour folds further alerts into
+ * the next digest. Times of day are in the local time of the machine.
+ */
+
+/**
+ * Convert a time of day to minutes after midnight
+ * @param {string} time - Time of day as HH:MM
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the next time a time of day comes around
+ * @param {number} now - Current time
+ * @param {string} time - Time of day as HH:MM
+ * @returns {number} Next occurrence after now
+ */
+function nextTimeOfDay(now, time) {
+    const minutes = toMinutes(time);
+    const next = new Date(now);
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (next.getTime() <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+}
+
+/**
+ * Check whether notifications are paused for quiet hours
+ * Quiet hours may run past midnight, such as 23:00 to 07:00
+ * @param {number} [now] - Current time
+ * @param {Object} [quietHours] - Quiet hours settings, defaults to config.notifications.delivery.quietHours
+ * @returns {boolean} Whether it is quiet time
+ */
+function isQuietTime(now = Date.now(), quietHours = config.notifications.delivery.quietHours) {
+    const { enabled, start, end } = quietHours;
+    if (!enabled || start === end) {
+        return false;
+    }
+    const date = new Date(now);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from < to ? minute >= from && minute < to : minute >= from || minute < to;
+}
+
+/**
+ * Get when the current quiet hours end
+ * @param {number} [now] - Current time
+ * @param {Object} [quietHours] - Quiet hours settings, defaults to config.notifications.delivery.quietHours
+ * @returns {number} End of the quiet hours
+ */
+function quietHoursEnd(now = Date.now(), quietHours = config.notifications.delivery.quietHours) {
+    return nextTimeOfDay(now, quietHours.end);
+}
+
+/**
+ * Get when the next digest is due: the next full hour, or the next digest.dailyAt for daily digests
+ * @param {number} [now] - Current time
+ * @param {Object} [digest] - Digest settings, defaults to config.notifications.delivery.digest
+ * @returns {number} Time of the next digest
+ */
+function nextDigestTime(now = Date.now(), digest = config.notifications.delivery.digest) {
+    const { interval, dailyAt } = digest;
+    if (interval === 'daily') {
+        return nextTimeOfDay(now, dailyAt);
+    }
+    const next = new Date(now);
+    next.setMinutes(60, 0, 0);
+    return next.getTime();
+}
+
+/**
+ * Check whether an alert is important enough to send right away
+ * @param {Object} item - Message item with the NFT's rarity score
+ * @param {number} [minScore] - Lowest score sent right away, defaults to config.notifications.delivery.immediateMinScore
+ * @returns {boolean} Whether to send it immediately rather than in the next digest
+ */
+function isImmediate(item, minScore = config.notifications.delivery.immediateMinScore) {
+    return minScore <= 0 || (item.score ?? 0) >= minScore;
+}
+
+/**
+ * Check whether a channel sent as many messages in the last hour as it may
+ * @param {Object} channel - Enabled channel with name and options
+ * @param {number} [now] - Current time
+ * @returns {boolean} Whether the channel is at its maxMessagesPerHour
+ */
+function isThrottled({ name, options }, now = Date.now()) {
+    const max = options.maxMessagesPerHour || 0;
+    return max > 0 && countNotificationSends(name, now - 3600000) >= max;
+}
+
+module.exports = {
+    isQuietTime,
+    quietHoursEnd,
+    nextDigestTime,
+    isImmediate,
+    isThrottled
+};
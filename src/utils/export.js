@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { createLogger } = require('./logger');
+const log = createLogger('export');
+
+/**
+ * Reports of a collection's rarity analysis: the full-collection rarity table, the current
+ * rare listings and the trait distribution, written as CSV, JSON or a self-contained HTML page.
+ */
+
+const FORMATS = ['csv', 'json', 'html'];
+
+/**
+ * Get the report formats to write
+ * @param {Array<string>|string} [formats] - Formats, as a list or comma separated, defaults to config.export.formats
+ * @returns {Array<string>} Valid formats
+ * @throws {Error} On unknown formats
+ */
+function getExportFormats(formats = config.export.formats) {
+    const list = (Array.isArray(formats) ? formats : String(formats).split(','))
+        .map(format => format.trim().toLowerCase())
+        .filter(format => format);
+    const unknown = list.filter(format => !FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export format: ${unknown.join(', ')} (expected ${FORMATS.join(', ')})`);
+    }
+    return [...new Set(list)];
+}
+
+/**
+ * Build the report of a collection analysis
+ * @param {Object} analysis - Result of analyzeCollection
+ * @param {Object} marketplace - Marketplace adapter, for links and prices
+ * @returns {Object} Report with rankings, rare listings and trait distribution
+ */
+function buildReport(analysis, marketplace) {
+    const { collectionInfo, collectionStats, traitAnalysis, allNFTs, rareListedNFTs } = analysis;
+    const { traitTypes, traitCounts, rankings } = traitAnalysis;
+
+    const traitDetails = nft => {
+        const traits = {};
+        traitTypes.forEach(type => {
+            const value = nft.traits[type] || 'None';
+            const stats = traitCounts[type][value] || { count: 0, percentage: 0 };
+            traits[type] = { value, count: stats.count, percentage: stats.percentage };
+        });
+        return traits;
+    };
+
+    const ranked = allNFTs
+        .filter(nft => rankings[nft.mintAddress])
+        .map(nft => ({
+            rank: rankings[nft.mintAddress].rank,
+            score: rankings[nft.mintAddress].score,
+            mintAddress: nft.mintAddress,
+            name: nft.name,
+            image: nft.image,
+            url: marketplace.getItemUrl(nft.mintAddress),
+            traits: traitDetails(nft)
+        }))
+        .sort((a, b) => a.rank - b.rank);
+
+    const rareListings = rareListedNFTs.map(nft => ({
+        rank: nft.rarityRank,
+        score: nft.rarityScore,
+        mintAddress: nft.mintAddress,
+        name: nft.name,
+        image: nft.image,
+        url: marketplace.getItemUrl(nft.mintAddress),
+        price: nft.price,
+        priceAmount: nft.price ? marketplace.toAmount(nft.price) : null,
+        priceLabel: marketplace.formatPrice(nft.price),
+        seller: nft.seller || null,
+        priceToFloor: nft.priceToFloor ?? null,
+        matchedRule: nft.matchedRule || null,
+        underpriced: nft.underpriced || null,
+        rareTraits: Object.entries(nft.rarity || {})
+            .filter(([, details]) => details.rare)
+            .map(([type, details]) => ({ type, value: details.value, percentage: details.percentage, reason: details.reason }))
+    }));
+
+    const traitDistribution = [];
+    traitTypes.forEach(type => {
+        Object.entries(traitCounts[type])
+            .sort(([, a], [, b]) => a.count - b.count)
+            .forEach(([value, { count, percentage }]) => traitDistribution.push({ traitType: type, value, count, percentage }));
+    });
+
+    return {
+        collection: { symbol: collectionInfo.symbol, name: collectionInfo.name },
+        marketplace: marketplace.label,
+        generatedAt: new Date().toISOString(),
+        scoringMethod: traitAnalysis.scoringMethod,
+        totalNFTs: traitAnalysis.totalNFTs,
+        floorPrice: collectionStats?.floorPrice ?? null,
+        floorPriceLabel: collectionStats?.floorPrice ? marketplace.formatPrice(collectionStats.floorPrice) : 'Unknown',
+        listedCount: collectionStats?.listedCount ?? analysis.listingCount,
+        traitTypes,
+        rankings: ranked,
+        rareListings,
+        traitDistribution
+    };
+}
+
+/**
+ * Format a value as a CSV field
+ * Text starting with a formula character is prefixed with a quote so spreadsheets show it as text
+ * @param {any} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Rows of field values
+ * @returns {string} CSV text
+ */
+function toCSV(header, rows) {
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Build the three CSV documents of a report
+ * @param {Object} report - Report from buildReport
+ * @returns {Object} CSV text for rankings, listings and traits
+ */
+function buildCSVs(report) {
+    const rankings = toCSV(
+        ['rank', 'score', 'mint_address', 'name', 'url', ...report.traitTypes.flatMap(type => [type, `${type} %`])],
+        report.rankings.map(nft => [
+            nft.rank, nft.score, nft.mintAddress, nft.name, nft.url,
+            ...report.traitTypes.flatMap(type => [nft.traits[type].value, nft.traits[type].percentage])
+        ])
+    );
+
+    const listings = toCSV(
+        ['rank', 'score', 'mint_address', 'name', 'price', 'seller', 'price_to_floor', 'rule', 'rare_traits', 'url'],
+        report.rareListings.map(nft => [
+            nft.rank, nft.score, nft.mintAddress, nft.name, nft.priceAmount, nft.seller, nft.priceToFloor, nft.matchedRule,
+            nft.rareTraits.map(trait => `${trait.type}: ${trait.value} (${trait.percentage}%)`).join('; '),
+            nft.url
+        ])
+    );
+
+    const traits = toCSV(
+        ['trait_type', 'value', 'count', 'percentage'],
+        report.traitDistribution.map(trait => [trait.traitType, trait.value, trait.count, trait.percentage])
+    );
+
+    return { rankings, listings, traits };
+}
+
+/**
+ * Escape text for HTML
+ * @param {any} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render an image tag for an NFT, or nothing without an http(s) image
+ * @param {string} image - Image URL
+ * @param {string} name - NFT name
+ * @param {number} size - Image size in pixels
+ * @returns {string} HTML
+ */
+function renderImage(image, name, size) {
+    if (!/^https?:\/\//i.test(image || '')) {
+        return '';
+    }
+    return `<img src="${escapeHtml(image)}" alt="${escapeHtml(name)}" width="${size}" height="${size}" loading="lazy">`;
+}
+
+/**
+ * Render a report as a self-contained HTML page
+ * Styles are inline and the page has no scripts; images load from their original URLs
+ * @param {Object} report - Report from buildReport
+ * @returns {string} HTML document
+ */
+function renderHTML(report) {
+    const title = `${report.collection.name} rarity report`;
+
+    const listingCards = report.rareListings.map(nft => `
+    <div class="card">
+      ${renderImage(nft.image, nft.name, 160)}
+      <h3><a href="${escapeHtml(nft.url)}">${escapeHtml(nft.name)}</a></h3>
+      <p><b>${escapeHtml(nft.priceLabel)}</b>${nft.priceToFloor ? ` (${escapeHtml(nft.priceToFloor)}x floor)` : ''}</p>
+      <p>Rank #${escapeHtml(nft.rank)} (score ${escapeHtml(nft.score)})${nft.matchedRule ? `<br>Rule: ${escapeHtml(nft.matchedRule)}` : ''}</p>
+      <ul>${nft.rareTraits.map(trait => `<li>${escapeHtml(trait.type)}: ${escapeHtml(trait.value)} (${escapeHtml(trait.percentage)}%, ${escapeHtml(trait.reason)})</li>`).join('')}</ul>
+    </div>`).join('');
+
+    const traitRows = report.traitDistribution.map(trait => `
+      <tr><td>${escapeHtml(trait.traitType)}</td><td>${escapeHtml(trait.value)}</td><td class="num">${escapeHtml(trait.count)}</td><td class="num">${escapeHtml(trait.percentage)}%</td></tr>`).join('');
+
+    const rankingRows = report.rankings.map(nft => `
+      <tr><td class="num">${escapeHtml(nft.rank)}</td><td>${renderImage(nft.image, nft.name, 40)}</td><td><a href="${escapeHtml(nft.url)}">${escapeHtml(nft.name)}</a></td><td class="num">${escapeHtml(nft.score)}</td>${report.traitTypes.map(type => `<td>${escapeHtml(nft.traits[type].value)} <small>${escapeHtml(nft.traits[type].percentage)}%</small></td>`).join('')}</tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: middle; }
+  th { background: #f4f4f4; }
+  .num { text-align: right; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1em; margin-bottom: 2em; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 1em; width: 220px; }
+  .card h3 { font-size: 1em; margin: 0.5em 0; }
+  .card ul { padding-left: 1.2em; margin: 0; font-size: 0.9em; }
+  img { border-radius: 4px; object-fit: cover; }
+  small { color: #777; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(report.collection.symbol)} on ${escapeHtml(report.marketplace)} &middot; ${escapeHtml(report.totalNFTs)} NFTs &middot; floor ${escapeHtml(report.floorPriceLabel)} &middot; ${escapeHtml(report.listedCount)} listed &middot; ${escapeHtml(report.scoringMethod)} scoring &middot; generated ${escapeHtml(report.generatedAt)}</p>
+<h2>Rare listings (${report.rareListings.length})</h2>
+<div class="cards">${listingCards || '<p>None</p>'}
+</div>
+<h2>Trait distribution</h2>
+<table>
+  <thead><tr><th>Trait</th><th>Value</th><th>Count</th><th>Percentage</th></tr></thead>
+  <tbody>${traitRows}
+  </tbody>
+</table>
+<h2>Rarity ranking</h2>
+<table>
+  <thead><tr><th>Rank</th><th></th><th>Name</th><th>Score</th>${report.traitTypes.map(type => `<th>${escapeHtml(type)}</th>`).join('')}</tr></thead>
+  <tbody>${rankingRows}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a report in each of the given formats
+ * CSV writes three files (rankings, listings and traits); JSON and HTML write one each
+ * @param {Object} report - Report from buildReport
+ * @param {Object} [options] - Export options
+ * @param {Array<string>} [options.formats] - Formats to write, defaults to config.export.formats
+ * @param {string} [options.dir] - Output directory, defaults to config.export.dir
+ * @returns {Array<string>} Paths of the written files
+ */
+function exportReports(report, { formats = getExportFormats(), dir = config.export.dir } = {}) {
+    try {
+        const outputDir = path.resolve(process.cwd(), dir || 'exports');
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        const stamp = report.generatedAt.replace(/[:.]/g, '-');
+        const base = path.join(outputDir, `${report.collection.symbol.replace(/[^\w.-]/g, '_')}-${stamp}`);
+        const files = {};
+
+        if (formats.includes('csv')) {
+            const csvs = buildCSVs(report);
+            Object.entries(csvs).forEach(([name, text]) => {
+                files[`${base}-${name}.csv`] = text;
+            });
+        }
+        if (formats.includes('json')) {
+            files[`${base}.json`] = JSON.stringify(report, null, 2);
+        }
+        if (formats.includes('html')) {
+            files[`${base}.html`] = renderHTML(report);
+        }
+
+        Object.entries(files).forEach(([file, content]) => fs.writeFileSync(file, content));
+        log(`Exported ${report.collection.symbol} report: ${Object.keys(files).join(', ')}`);
+        return Object.keys(files);
+    } catch (error) {
+        log.error(`Error exporting report for ${report.collection.symbol}:`, error);
+        return [];
+    }
+}
+
+module.exports = {
+    FORMATS,
+    getExportFormats,
+    buildReport,
+    buildCSVs,
+    renderHTML,
+    exportReports
+};
@@ -0,0 +1,346 @@
+const config = require('config');
+const { createLogger } = require('./logger');
+const { run, runMany, all, get, transaction } = require('./database');
+const log = createLogger('cache');
+
+/**
+ * Record a completed scan and the listing changes it saw
+ * Only changes are stored, not every listing of every scan: a row for each listing that is
+ * new or whose price or seller changed since the collection's last scan, and a row with
+ * listed = 0 for each listing that has left the market. Scans of the collection older than
+ * database.historyDays are pruned with their changes
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Object} scan - Scan details with collection name, startedAt, completedAt, floorPrice and listedCount
+ * @param {Array} listedNFTs - Normalized listed NFTs with price, seller and rarity rank
+ * @returns {number|null} Scan id, or null if it could not be recorded
+ */
+function recordScan(collectionSymbol, scan, listedNFTs) {
+    try {
+        return transaction(() => {
+            run(`INSERT INTO collections (symbol, name, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(symbol) DO UPDATE SET name = excluded.name, updated_at = excluded.updated_at`,
+            [collectionSymbol, scan.name ?? null, Date.now()]);
+
+            run(
+                'INSERT INTO scans (collection, started_at, completed_at, floor_price, listed_count) VALUES (?, ?, ?, ?, ?)',
+                [collectionSymbol, scan.startedAt, scan.completedAt, scan.floorPrice ?? null, scan.listedCount ?? null]
+            );
+            const scanId = get('SELECT last_insert_rowid() AS id').id;
+
+            // The listings as of the previous scan: the latest change of each mint, if it was listed
+            const previous = new Map(all(
+                `SELECT mint_address AS mintAddress, price, seller FROM listing_changes l
+                    WHERE collection = ? AND listed = 1 AND scan_id =
+                        (SELECT MAX(scan_id) FROM listing_changes WHERE collection = l.collection AND mint_address = l.mint_address)`,
+                [collectionSymbol]
+            ).map(row => [row.mintAddress, row]));
+
+            const changes = [];
+            listedNFTs.forEach(nft => {
+                const before = previous.get(nft.mintAddress);
+                previous.delete(nft.mintAddress);
+                if (!before || before.price !== (nft.price ?? null) || before.seller !== (nft.seller ?? null)) {
+                    changes.push([scanId, collectionSymbol, nft.mintAddress, nft.price ?? null, nft.seller ?? null,
+                        nft.rarityRank ?? null, nft.rarityScore ?? null, 1]);
+                }
+            });
+            previous.forEach((before, mintAddress) => {
+                changes.push([scanId, collectionSymbol, mintAddress, null, null, null, null, 0]);
+            });
+
+            runMany(
+                `INSERT OR REPLACE INTO listing_changes
+                    (scan_id, collection, mint_address, price, seller, rarity_rank, rarity_score, listed)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                changes
+            );
+
+            const historyDays = config.database?.historyDays ?? 0;
+            if (historyDays > 0) {
+                const cutoff = scan.startedAt - historyDays * 86400000;
+                run(`DELETE FROM listing_changes WHERE scan_id IN
+                    (SELECT id FROM scans WHERE collection = ? AND started_at < ?)`, [collectionSymbol, cutoff]);
+                run('DELETE FROM scans WHERE collection = ? AND started_at < ?', [collectionSymbol, cutoff]);
+            }
+
+            return scanId;
+        });
+    } catch (error) {
+        log.error(`Error recording scan for ${collectionSymbol}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Record alerts sent for rare NFTs
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Array} nfts - Alerted NFTs
+ * @param {Map<string, Array<string>>} channelsByMint - Names of the channels each NFT's alert was delivered to
+ * @returns {boolean} Whether the alerts were recorded
+ */
+function recordAlerts(collectionSymbol, nfts, channelsByMint) {
+    try {
+        const sentAt = Date.now();
+        runMany(
+            `INSERT INTO alerts (collection, mint_address, name, price, seller, rarity_rank, reason, rule, channels, sent_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            nfts.map(nft => [
+                collectionSymbol,
+                nft.mintAddress,
+                nft.name ?? null,
+                nft.price ?? null,
+                nft.seller ?? null,
+                nft.rarityRank ?? null,
+                nft.alertReason ?? null,
+                nft.matchedRule ?? null,
+                (channelsByMint.get(nft.mintAddress) || []).join(','),
+                sentAt
+            ])
+        );
+        return true;
+    } catch (error) {
+        log.error(`Error recording alerts for ${collectionSymbol}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Add a channel to the latest alert of each NFT, once a queued notification was delivered to it
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Array<string>} mintAddresses - Mint addresses of the NFTs delivered
+ * @param {string} channel - Channel name
+ * @returns {boolean} Whether the alerts were updated
+ */
+function addAlertChannel(collectionSymbol, mintAddresses, channel) {
+    try {
+        runMany(
+            `UPDATE alerts SET channels = CASE WHEN channels IS NULL OR channels = '' THEN ? ELSE channels || ',' || ? END
+                WHERE id = (SELECT MAX(id) FROM alerts WHERE collection = ? AND mint_address = ?)`,
+            mintAddresses.map(mint => [channel, channel, collectionSymbol, mint])
+        );
+        return true;
+    } catch (error) {
+        log.error(`Error recording ${channel} delivery for ${collectionSymbol}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Queue a notification for a channel to send on a later scan: a retry of one the channel
+ * failed to deliver, or alerts held back for a digest
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {string} channel - Channel name
+ * @param {Object} message - Rare NFT message with the items to send
+ * @param {Object} [options] - Queue options
+ * @param {string} [options.kind] - retry or digest
+ * @param {number} [options.dueAt] - Time from which it may be sent
+ * @param {number} [options.attempts] - Delivery attempts so far
+ * @returns {boolean} Whether the notification was queued
+ */
+function queueNotification(collectionSymbol, channel, message, { kind = 'retry', dueAt = Date.now(), attempts = 1 } = {}) {
+    try {
+        run('INSERT INTO notification_queue (collection, channel, message, kind, due_at, attempts, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [collectionSymbol, channel, JSON.stringify(message), kind, dueAt, attempts, Date.now()]);
+        return true;
+    } catch (error) {
+        log.error(`Error queueing ${channel} notification for ${collectionSymbol}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Get the queued notifications of a collection
+ * @param {string} collectionSymbol - Collection symbol
+ * @returns {Array<Object>} Queued notifications, oldest first, with id, channel, message, kind, dueAt and attempts
+ */
+function getQueuedNotifications(collectionSymbol) {
+    return all(
+        `SELECT id, channel, message, kind, due_at AS dueAt, attempts, created_at AS createdAt
+            FROM notification_queue WHERE collection = ? ORDER BY id`,
+        [collectionSymbol]
+    ).map(row => ({ ...row, message: JSON.parse(row.message) }));
+}
+
+/**
+ * Remove queued notifications once they were sent, given up or are no longer needed
+ * @param {Array<number>} ids - Queued notification ids
+ * @returns {boolean} Whether the notifications were removed
+ */
+function removeQueuedNotifications(ids) {
+    try {
+        runMany('DELETE FROM notification_queue WHERE id = ?', ids.map(id => [id]));
+        return true;
+    } catch (error) {
+        log.error(`Error removing queued notifications ${ids.join(', ')}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Record a message sent to a channel, for its hourly message cap
+ * Sends older than a day are pruned
+ * @param {string} channel - Channel name
+ * @param {number} [sentAt] - Time of the send
+ */
+function recordNotificationSend(channel, sentAt = Date.now()) {
+    try {
+        transaction(() => {
+            run('INSERT INTO notification_sends (channel, sent_at) VALUES (?, ?)', [channel, sentAt]);
+            run('DELETE FROM notification_sends WHERE sent_at < ?', [sentAt - 86400000]);
+        });
+    } catch (error) {
+        log.error(`Error recording ${channel} notification send:`, error);
+    }
+}
+
+/**
+ * Count the messages sent to a channel since a time
+ * @param {string} channel - Channel name
+ * @param {number} since - Start time
+ * @returns {number} Messages sent
+ */
+function countNotificationSends(channel, since) {
+    return get('SELECT COUNT(*) AS count FROM notification_sends WHERE channel = ? AND sent_at >= ?', [channel, since]).count;
+}
+
+/**
+ * Get the listing history of a token: each scan that saw it listed, repriced or gone, oldest first
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {string} mintAddress - NFT mint address
+ * @returns {Array<Object>} Listing changes with scan time, and listed false once it left the market
+ */
+function getListingHistory(collectionSymbol, mintAddress) {
+    return all(
+        `SELECT s.id AS scanId, s.started_at AS scannedAt, l.price, l.seller, l.rarity_rank AS rarityRank, l.listed = 1 AS listed
+            FROM listing_changes l JOIN scans s ON s.id = l.scan_id
+            WHERE l.collection = ? AND l.mint_address = ?
+            ORDER BY s.started_at`,
+        [collectionSymbol, mintAddress]
+    );
+}
+
+/**
+ * Get the most recent alerts
+ * @param {string} [collectionSymbol] - Only alerts for this collection
+ * @param {number} [limit] - Maximum number of alerts
+ * @returns {Array<Object>} Alerts, newest first, with their outcome once known
+ */
+function getAlertHistory(collectionSymbol, limit = 100) {
+    const where = collectionSymbol ? 'WHERE collection = ?' : '';
+    const params = collectionSymbol ? [collectionSymbol, limit] : [limit];
+    return all(
+        `SELECT id, collection, mint_address AS mintAddress, name, price, seller, rarity_rank AS rarityRank, reason, rule, channels, sent_at AS sentAt,
+                outcome, outcome_price AS outcomePrice, outcome_at AS outcomeAt, buyer
+            FROM alerts ${where} ORDER BY sent_at DESC, id DESC LIMIT ?`,
+        params
+    );
+}
+
+/**
+ * Get the alerts of a collection whose outcome is not known yet
+ * @param {string} collectionSymbol - Collection symbol
+ * @returns {Array<Object>} Open alerts, oldest first
+ */
+function getOpenAlerts(collectionSymbol) {
+    return all(
+        `SELECT id, collection, mint_address AS mintAddress, name, price, seller, rarity_rank AS rarityRank, rule, sent_at AS sentAt, missing_since AS missingSince
+            FROM alerts WHERE collection = ? AND outcome IS NULL ORDER BY sent_at, id`,
+        [collectionSymbol]
+    );
+}
+
+/**
+ * Record what happened to alerted listings, and when open ones were first missed from the market
+ * @param {Array<Object>} updates - Alert id with outcome, price, time and buyer once resolved, or
+ *   with missingSince (null when listed again) while still open
+ * @returns {boolean} Whether the updates were recorded
+ */
+function updateAlertOutcomes(updates) {
+    try {
+        transaction(() => {
+            updates.forEach(({ id, outcome = null, price = null, at = null, buyer = null, missingSince = null }) => {
+                if (outcome) {
+                    run('UPDATE alerts SET outcome = ?, outcome_price = ?, outcome_at = ?, buyer = ?, missing_since = NULL WHERE id = ?',
+                        [outcome, price, at, buyer, id]);
+                } else {
+                    run('UPDATE alerts SET missing_since = ? WHERE id = ?', [missingSince, id]);
+                }
+            });
+        });
+        return true;
+    } catch (error) {
+        log.error('Error recording alert outcomes:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median, or null without values
+ */
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Get per-collection outcome statistics of tracked alerts: how many sold, were delisted or
+ * repriced, and how fast the sold ones were taken
+ * @param {string} [collectionSymbol] - Only this collection
+ * @returns {Array<Object>} Statistics per collection, with times in milliseconds
+ */
+function getOutcomeStats(collectionSymbol) {
+    const where = collectionSymbol ? 'AND collection = ?' : '';
+    const rows = all(
+        `SELECT collection, outcome, outcome_price AS outcomePrice, price, outcome_at - sent_at AS elapsedMs
+            FROM alerts WHERE (outcome IS NULL OR outcome != 'untracked') ${where}`,
+        collectionSymbol ? [collectionSymbol] : []
+    );
+
+    const byCollection = new Map();
+    rows.forEach(row => {
+        if (!byCollection.has(row.collection)) {
+            byCollection.set(row.collection, []);
+        }
+        byCollection.get(row.collection).push(row);
+    });
+
+    return [...byCollection.entries()].map(([collection, alerts]) => {
+        const count = outcome => alerts.filter(alert => alert.outcome === outcome).length;
+        const saleTimes = alerts.filter(alert => alert.outcome === 'sold').map(alert => Math.max(0, alert.elapsedMs));
+        const within = ms => saleTimes.filter(time => time <= ms).length;
+        return {
+            collection,
+            tracked: alerts.length,
+            open: count(null),
+            sold: count('sold'),
+            delisted: count('delisted'),
+            priceChanged: count('price_changed'),
+            expired: count('expired'),
+            medianTimeToSaleMs: median(saleTimes),
+            averageTimeToSaleMs: saleTimes.length > 0 ? Math.round(saleTimes.reduce((sum, time) => sum + time, 0) / saleTimes.length) : null,
+            soldWithin: { '1m': within(60000), '10m': within(600000), '1h': within(3600000) }
+        };
+    });
+}
+
+module.exports = {
+    recordScan,
+    recordAlerts,
+    addAlertChannel,
+    queueNotification,
+    getQueuedNotifications,
+    removeQueuedNotifications,
+    recordNotificationSend,
+    countNotificationSends,
+    getListingHistory,
+    getAlertHistory,
+    getOpenAlerts,
+    updateAlertOutcomes,
+    getOutcomeStats
+};
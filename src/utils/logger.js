@@ -1,14 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('config');
+
 /**
  * Utility functions for logging and error handling
+ *
+ * Every module logs through its own logger from createLogger(source), so output can be
+ * filtered by source and each source can have its own level. Lines are written as text or
+ * JSON to the console and optionally to a rotating log file. Context set with
+ * withLogContext(), such as the collection and scan id of a scan, is added to every line
+ * logged while it runs, including from the API, cache and notifier modules it calls.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const settings = {
+    level: 'info',
+    format: 'text',
+    modules: {},
+    ...(config.has('logging') ? config.get('logging') : {})
+};
+const fileSettings = {
+    path: '',
+    rotate: 'size',
+    maxSizeMB: 10,
+    maxFiles: 5,
+    ...(settings.file || {})
+};
+
+// Context of the running scan, carried across its async calls
+const context = new AsyncLocalStorage();
+
+// Open log file state: its path, and its size for size-based rotation
+let currentFile = null;
+let currentSize = 0;
+
+/**
+ * Get the numeric level of a level name
+ * @param {string} name - Level name
+ * @returns {number} Level, info for unknown names
+ */
+function levelValue(name) {
+    return LEVELS[String(name).toLowerCase()] ?? LEVELS.info;
+}
+
+/**
+ * Check whether a source logs at a level
+ * @param {string} source - Logger source
+ * @param {string} level - Level of the line
+ * @returns {boolean} Whether the line is logged
+ */
+function isEnabled(source, level) {
+    const threshold = settings.modules[source] || settings.level;
+    return levelValue(level) >= levelValue(threshold);
+}
+
+/**
+ * Describe an error: its message with the HTTP status or network error code, and the
+ * stack when logging at debug level
+ * @param {Error} error - Error
+ * @returns {Object} Error fields
+ */
+function describeError(error) {
+    const described = { name: error.name, message: error.message };
+    if (error.response?.status) {
+        described.status = error.response.status;
+    }
+    if (error.code) {
+        described.code = error.code;
+    }
+    if (levelValue(settings.level) <= LEVELS.debug && error.stack) {
+        described.stack = error.stack;
+    }
+    return described;
+}
+
+/**
+ * Format an error for text output
+ * @param {Error} error - Error
+ * @returns {string} Error text
+ */
+function formatError(error) {
+    const { name, message, status, code, stack } = describeError(error);
+    const detail = [status && `status ${status}`, code].filter(Boolean).join(', ');
+    const text = `${name}: ${message}${detail ? ` (${detail})` : ''}`;
+    return stack ? `${text}\n${stack}` : text;
+}
+
+/**
+ * Build a log line
+ * @param {string} format - text or json
+ * @param {Object} entry - Timestamp, level, source, context, message and error
+ * @returns {string} Log line
+ */
+function formatLine(format, { time, level, source, fields, message, error }) {
+    if (format === 'json') {
+        return JSON.stringify({ time, level, source, ...fields, message, ...(error ? { error: describeError(error) } : {}) });
+    }
+
+    const tags = Object.values(fields).map(value => ` [${value}]`).join('');
+    const errorText = error ? `${message ? ' ' : ''}${formatError(error)}` : '';
+    return `[${time}] ${level.toUpperCase().padEnd(5)} ${source}${tags}: ${message}${errorText}`;
+}
+
+/**
+ * Get the log file to write to, rotating it when it is full or the day has changed
+ * Size rotation renames the file to .1, .2 and so on; date rotation writes one file per
+ * day named with the date. Either keeps maxFiles old files.
+ * @param {number} lineSize - Size of the next line in bytes
+ * @returns {string} Log file path
+ */
+function logFile(lineSize) {
+    const basePath = path.resolve(process.cwd(), fileSettings.path);
+    const maxFiles = Math.max(0, fileSettings.maxFiles);
+
+    if (fileSettings.rotate === 'date') {
+        const { dir, name, ext } = path.parse(basePath);
+        const file = path.join(dir, `${name}-${new Date().toISOString().slice(0, 10)}${ext}`);
+        if (file !== currentFile) {
+            fs.mkdirSync(dir, { recursive: true });
+            currentFile = file;
+            // Dated names sort by date, so the oldest come first
+            const old = fs.readdirSync(dir)
+                .filter(entry => entry.startsWith(`${name}-`) && entry.endsWith(ext) && path.join(dir, entry) !== file)
+                .sort();
+            old.slice(0, Math.max(0, old.length - maxFiles)).forEach(entry => fs.unlinkSync(path.join(dir, entry)));
+        }
+        return file;
+    }
+
+    if (currentFile !== basePath) {
+        fs.mkdirSync(path.dirname(basePath), { recursive: true });
+        currentFile = basePath;
+        currentSize = fs.existsSync(basePath) ? fs.statSync(basePath).size : 0;
+    }
+
+    if (currentSize > 0 && currentSize + lineSize > fileSettings.maxSizeMB * 1024 * 1024) {
+        for (let index = maxFiles; index >= 1; index--) {
+            const from = index === 1 ? basePath : `${basePath}.${index - 1}`;
+            if (fs.existsSync(from)) {
+                if (index === maxFiles) {
+                    fs.unlinkSync(from);
+                } else {
+                    fs.renameSync(from, `${basePath}.${index}`);
+                }
+            }
+        }
+        if (maxFiles === 0 && fs.existsSync(basePath)) {
+            fs.unlinkSync(basePath);
+        }
+        currentSize = 0;
+    }
+    return basePath;
+}
+
+/**
+ * Append a line to the log file
+ * A failing log file is reported once on the console and then disabled
+ * @param {string} line - Log line
  */
+function writeFile(line) {
+    try {
+        const data = `${line}\n`;
+        const size = Buffer.byteLength(data);
+        fs.appendFileSync(logFile(size), data);
+        currentSize += size;
+    } catch (error) {
+        fileSettings.path = '';
+        console.error(`Error writing log file, file logging disabled: ${error.message}`);
+    }
+}
 
 /**
- * Log a message with timestamp to console
+ * Write a log line to the console and the log file
+ * Warnings and errors go to stderr, so they stay visible when stdout is piped or redirected
+ * @param {string} source - Logger source
+ * @param {string} level - Level name
+ * @param {Array} args - Arguments to log; the first Error among them is logged as the error
+ */
+function write(source, level, args) {
+    if (!isEnabled(source, level)) {
+        return;
+    }
+
+    const error = args.find(arg => arg instanceof Error);
+    const message = args
+        .filter(arg => arg !== error)
+        .map(arg => (typeof arg === 'string' ? arg : util.inspect(arg, { breakLength: Infinity, depth: 4 })))
+        .join(' ');
+    const entry = { time: new Date().toISOString(), level, source, fields: context.getStore() || {}, message, error };
+
+    const line = formatLine(settings.format, entry);
+    if (levelValue(level) >= LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+    if (fileSettings.path) {
+        writeFile(formatLine(fileSettings.format || settings.format, entry));
+    }
+}
+
+/**
+ * Create the logger of a module
+ * The logger is a function logging at info level, with debug, info, warn and error methods
+ * @param {string} source - Module name, such as api, cache, analyzer or notifier
+ * @returns {Function} Logger
+ */
+function createLogger(source) {
+    const logger = (...args) => write(source, 'info', args);
+    ['debug', 'info', 'warn', 'error'].forEach(level => {
+        logger[level] = (...args) => write(source, level, args);
+    });
+    return logger;
+}
+
+/**
+ * Run a function with context fields, such as a collection symbol and scan id, added to
+ * every line logged while it runs
+ * @param {Object} fields - Context fields
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of the function
+ */
+function withLogContext(fields, fn) {
+    return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Logger of modules without their own source
+const appLogger = createLogger('app');
+
+/**
+ * Log a message at info level, or at the level named by a leading 'WARN' or 'ERROR' argument
  * @param {...any} args - Arguments to log
  */
 function log(...args) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}]`, ...args);
+    const level = typeof args[0] === 'string' && ['debug', 'info', 'warn', 'error'].includes(args[0].toLowerCase()) && args.length > 1
+        ? args.shift().toLowerCase()
+        : 'info';
+    appLogger[level](...args);
 }
 
 /**
@@ -25,27 +256,10 @@ function elapsed(ms) {
     return `${minutes}m ${remainingSeconds}s`;
 }
 
-/**
- * Handle API request errors with throttling support
- * @param {string} source - Source of the error
- * @param {Error} err - Error object
- * @returns {Promise<boolean>} Whether to retry the request
- */
-async function requestError(source, err) {
-    const resp = err.response;
-    if (resp && resp.status === 429 && resp.config) {
-        // hitting the rate limit, wait a bit
-        await new Promise(res => setTimeout(res, 5000));
-        log('WARN', source, resp.statusText, resp.config.url);
-        return true;
-    } else {
-        log('ERROR', source, 'failed', err.message);
-        return false;
-    }
-}
-
 module.exports = {
+    LEVELS,
+    createLogger,
+    withLogContext,
     log,
-    elapsed,
-    requestError
-}; 
+    elapsed
+};
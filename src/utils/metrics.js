@@ -0,0 +1,184 @@
+const { getRequestStats } = require('../api/request');
+const { getCacheStatus } = require('./cache');
+
+/**
+ * Prometheus metrics of scan health, API usage, the cache and notifications. Scans, cache
+ * lookups and notifications are counted as they happen; API request counters and cache
+ * ages are read from their sources when the metrics are rendered.
+ */
+
+// Metric names with their type and help text
+const METRICS = {
+    rare_sniper_scans_total: { type: 'counter', help: 'Scans by collection and result' },
+    rare_sniper_scan_duration_seconds: { type: 'gauge', help: 'Duration of the last scan' },
+    rare_sniper_last_scan_timestamp_seconds: { type: 'gauge', help: 'Time the last scan finished' },
+    rare_sniper_last_success_timestamp_seconds: { type: 'gauge', help: 'Time the last successful scan finished' },
+    rare_sniper_scan_listings: { type: 'gauge', help: 'Listings found by the last scan' },
+    rare_sniper_scan_rare_listings: { type: 'gauge', help: 'Rare or underpriced listings found by the last scan' },
+    rare_sniper_alerts_total: { type: 'counter', help: 'Listings alerted' },
+    rare_sniper_alert_outcomes_total: { type: 'counter', help: 'Alerted listings resolved by outcome: sold, delisted, price_changed or expired' },
+    rare_sniper_api_requests_total: { type: 'counter', help: 'API requests by endpoint and HTTP status or network error code' },
+    rare_sniper_api_failures_total: { type: 'counter', help: 'API requests that failed after all retries' },
+    rare_sniper_api_retries_total: { type: 'counter', help: 'API requests retried' },
+    rare_sniper_api_rate_limited_total: { type: 'counter', help: 'API responses with status 429' },
+    rare_sniper_cache_lookups_total: { type: 'counter', help: 'Cache lookups of collection data and listing metadata by result' },
+    rare_sniper_cache_age_seconds: { type: 'gauge', help: 'Time since the collection cache was last synced' },
+    rare_sniper_cached_tokens: { type: 'gauge', help: 'NFTs in the collection cache' },
+    rare_sniper_notifications_total: { type: 'counter', help: 'Notifications sent by channel and result' }
+};
+
+// Recorded samples, keyed by metric name and then by their serialized labels
+const samples = new Map();
+
+/**
+ * Serialize labels in Prometheus text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} Labels, such as {collection="mkrs"}, or an empty string without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Set a sample of a metric
+ * @param {Map} target - Samples to set it in
+ * @param {string} name - Metric name
+ * @param {Object} labels - Sample labels
+ * @param {Function} update - Gets the previous value (0 when new) and returns the new one
+ */
+function updateSample(target, name, labels, update) {
+    if (!METRICS[name]) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+    if (!target.has(name)) {
+        target.set(name, new Map());
+    }
+    const key = formatLabels(labels);
+    const previous = target.get(name).get(key);
+    target.get(name).set(key, update(previous === undefined ? 0 : previous));
+}
+
+/**
+ * Add to a counter
+ * @param {string} name - Metric name
+ * @param {Object} [labels] - Sample labels
+ * @param {number} [value] - Amount to add
+ */
+function incrementCounter(name, labels = {}, value = 1) {
+    updateSample(samples, name, labels, previous => previous + value);
+}
+
+/**
+ * Set a gauge
+ * @param {string} name - Metric name
+ * @param {Object} [labels] - Sample labels
+ * @param {number} value - Gauge value
+ */
+function setGauge(name, labels = {}, value) {
+    updateSample(samples, name, labels, () => value);
+}
+
+/**
+ * Record the outcome of a collection scan
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Object} scan - Scan outcome
+ * @param {boolean} scan.completed - Whether the scan completed
+ * @param {number} scan.durationMs - Scan duration in milliseconds
+ * @param {number} [scan.listings] - Listings found
+ * @param {number} [scan.rareListings] - Rare or underpriced listings found
+ * @param {number} [scan.alerts] - Listings alerted
+ */
+function recordScanMetrics(collectionSymbol, { completed, durationMs, listings, rareListings, alerts = 0 }) {
+    const labels = { collection: collectionSymbol };
+    const now = Date.now() / 1000;
+    incrementCounter('rare_sniper_scans_total', { ...labels, result: completed ? 'success' : 'failure' });
+    setGauge('rare_sniper_scan_duration_seconds', labels, durationMs / 1000);
+    setGauge('rare_sniper_last_scan_timestamp_seconds', labels, now);
+    if (completed) {
+        setGauge('rare_sniper_last_success_timestamp_seconds', labels, now);
+    }
+    if (listings !== undefined) {
+        setGauge('rare_sniper_scan_listings', labels, listings);
+    }
+    if (rareListings !== undefined) {
+        setGauge('rare_sniper_scan_rare_listings', labels, rareListings);
+    }
+    incrementCounter('rare_sniper_alerts_total', labels, alerts);
+}
+
+/**
+ * Count cache lookups
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {string} cache - What was looked up: collection or metadata
+ * @param {string} result - hit or miss
+ * @param {number} [count] - Number of lookups
+ */
+function recordCacheLookup(collectionSymbol, cache, result, count = 1) {
+    incrementCounter('rare_sniper_cache_lookups_total', { collection: collectionSymbol, cache, result }, count);
+}
+
+/**
+ * Count a notification
+ * @param {string} channel - Channel name
+ * @param {boolean} sent - Whether the notification was sent
+ */
+function recordNotification(channel, sent) {
+    incrementCounter('rare_sniper_notifications_total', { channel, result: sent ? 'success' : 'failure' });
+}
+
+/**
+ * Read the API request counters and cache status into samples
+ * @returns {Map} Samples
+ */
+function collectSamples() {
+    const collected = new Map();
+    const set = (name, labels, value) => updateSample(collected, name, labels, () => value);
+
+    Object.entries(getRequestStats()).forEach(([endpoint, counters]) => {
+        Object.entries(counters.statuses).forEach(([status, count]) => {
+            set('rare_sniper_api_requests_total', { endpoint, status }, count);
+        });
+        set('rare_sniper_api_failures_total', { endpoint }, counters.failures);
+        set('rare_sniper_api_retries_total', { endpoint }, counters.retries);
+        set('rare_sniper_api_rate_limited_total', { endpoint }, counters.rateLimited);
+    });
+
+    const now = Date.now();
+    getCacheStatus().forEach(({ symbol, syncedAt, tokens }) => {
+        if (syncedAt) {
+            set('rare_sniper_cache_age_seconds', { collection: symbol }, (now - syncedAt) / 1000);
+        }
+        set('rare_sniper_cached_tokens', { collection: symbol }, tokens);
+    });
+
+    return collected;
+}
+
+/**
+ * Render every metric in Prometheus text format
+ * @returns {string} Metrics text
+ */
+function renderMetrics() {
+    const collected = collectSamples();
+    const lines = [];
+    Object.entries(METRICS).forEach(([name, { type, help }]) => {
+        const values = new Map([...(samples.get(name) || []), ...(collected.get(name) || [])]);
+        if (values.size === 0) {
+            return;
+        }
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        values.forEach((value, labels) => lines.push(`${name}${labels} ${value}`));
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    incrementCounter,
+    setGauge,
+    recordScanMetrics,
+    recordCacheLookup,
+    recordNotification,
+    renderMetrics
+};
@@ -1,171 +1,270 @@
-const axios = require('axios');
 const config = require('config');
-const { log } = require('./logger');
+const { createLogger } = require('./logger');
+const { buildRareMessage, buildOutcomeMessage, buildDigestMessage, withItems } = require('../notifiers/message');
+const { recordNotification } = require('./metrics');
+const {
+    addAlertChannel,
+    queueNotification,
+    getQueuedNotifications,
+    removeQueuedNotifications,
+    recordNotificationSend
+} = require('./history');
+const { isQuietTime, quietHoursEnd, nextDigestTime, isImmediate, isThrottled } = require('./delivery');
+const log = createLogger('notifier');
+
+// Notifier channels, keyed by their section under config.notifications.
+// Each channel exports send(message, options) resolving to { delivered } with the mint addresses
+// of the items it actually sent, or to false when nothing went out. Items left out of delivered,
+// such as ones a channel had to cut for its size limits, are queued for retry.
+// A channel that splits a message into several posts calls canPost() before each post and
+// posted() after it, so every post counts toward its maxMessagesPerHour cap.
+const CHANNELS = {
+    discord: require('../notifiers/discord'),
+    slack: require('../notifiers/slack'),
+    telegram: require('../notifiers/telegram'),
+    webhook: require('../notifiers/webhook'),
+    email: require('../notifiers/email')
+};
 
 /**
- * Sends a message to Discord webhook about a rare NFT
- * @param {Object} nft - Normalized NFT object with rarity info
- * @param {string} collectionName - Name of the collection
- * @returns {Promise<boolean>} Success status
+ * Get the notifier channels enabled in config
+ * @returns {Array<Object>} Enabled channels with name, notifier and options
  */
-async function sendRareNFTDiscordNotification(nft, collectionName) {
-    if (!config.notifications?.discord?.enabled) {
-        return false;
-    }
+function getEnabledChannels() {
+    const notifications = config.notifications || {};
+    return Object.keys(CHANNELS)
+        .filter(name => notifications[name]?.enabled)
+        .map(name => ({
+            name,
+            notifier: CHANNELS[name],
+            options: notifications[name]
+        }));
+}
 
-    try {
-        const webhookUrl = config.notifications.discord.webhookUrl;
-        if (!webhookUrl) {
-            log('Discord webhook URL not configured');
-            return false;
-        }
+/**
+ * Sends a message to notifier channels and collects which items each delivered
+ * Each post a channel makes is recorded as one send, and a channel stops before a post once
+ * it reached its hourly cap.
+ * @param {Object} message - Rare NFT message
+ * @param {Array<Object>} [channels] - Channels to send to, defaulting to every enabled channel
+ * @param {number} [now] - Current time, recorded as the send time for the channels' hourly caps
+ * @returns {Promise<Object>} Map of channel names to the mint addresses of the items delivered
+ */
+async function deliverMessage(message, channels = getEnabledChannels(), now = Date.now()) {
+    const results = await Promise.all(channels.map(channel => channel.notifier.send(message, channel.options, {
+        canPost: () => !isThrottled(channel, now),
+        posted: () => recordNotificationSend(channel.name, now)
+    })));
 
-        // Format price in SOL
-        const price = nft.price ? `${nft.price / 1000000000} SOL` : 'Not listed';
+    const delivered = {};
+    channels.forEach(({ name }, index) => {
+        const result = results[index];
+        delivered[name] = Array.isArray(result?.delivered) ? result.delivered : [];
+        recordNotification(name, message.items.every(item => delivered[name].includes(item.mintAddress)));
+    });
+    return delivered;
+}
 
-        // Find rare traits
-        const rareTraits = [];
-        Object.entries(nft.rarity).forEach(([trait, details]) => {
-            if (details.rare) {
-                rareTraits.push(`**${trait}**: ${details.value} (${details.percentage}%, ${details.reason})`);
-            }
-        });
-
-        // Create embed for Discord message
-        const embed = {
-            title: `Rare NFT Found: ${nft.name}`,
-            description: `A rare NFT was found in collection **${collectionName}**`,
-            color: 0x00FFFF, // Cyan color
-            thumbnail: {
-                url: nft.image
-            },
-            fields: [
-                {
-                    name: 'Mint Address',
-                    value: nft.mintAddress,
-                    inline: false
-                },
-                {
-                    name: 'Price',
-                    value: price,
-                    inline: true
-                },
-                {
-                    name: 'Rare Traits',
-                    value: rareTraits.length > 0 ? rareTraits.join('\n') : 'None',
-                    inline: false
-                }
-            ],
-            url: `https://magiceden.io/item-details/${nft.mintAddress}`,
-            footer: {
-                text: 'Rare Sniper',
-                icon_url: 'https://magiceden.io/favicon.ico'
-            },
-            timestamp: new Date().toISOString()
-        };
-
-        // Send to Discord webhook
-        const username = config.notifications.discord.username || 'Rare Sniper';
-        await axios.post(webhookUrl, {
-            username,
-            embeds: [embed]
-        });
-
-        log(`Sent Discord notification for rare NFT: ${nft.name}`);
-        return true;
-    } catch (error) {
-        log(`Error sending Discord notification: ${error.message}`);
-        return false;
-    }
+/**
+ * Sends a message to every enabled notifier channel
+ * @param {Object} message - Rare NFT message
+ * @returns {Promise<Object>} Map of channel names to success status, false unless every item was delivered
+ */
+async function sendMessage(message) {
+    const delivered = await deliverMessage(message);
+    const status = {};
+    Object.entries(delivered).forEach(([name, mints]) => {
+        status[name] = mints.length === message.items.length;
+    });
+    return status;
 }
 
 /**
- * Sends a summary of multiple rare NFTs to Discord webhook
+ * Sends a summary of multiple rare NFTs to every enabled notifier channel
+ * Alerts below notifications.delivery.immediateMinScore, alerts for a channel at its hourly
+ * message cap and every alert during quiet hours are held for a later digest. Items a
+ * channel fails to deliver are queued for that channel and retried on later scans.
  * @param {Array} nfts - Array of normalized NFT objects with rarity info
- * @param {string} collectionName - Name of the collection
- * @returns {Promise<boolean>} Success status
+ * @param {Object} collection - Collection info with symbol, name and marketplace adapter
+ * @param {number} [now] - Current time
+ * @returns {Promise<Map<string, Array<string>>>} Map of mint addresses to the names of the channels that delivered them
  */
-async function sendRareSummaryDiscordNotification(nfts, collectionName) {
-    if (!config.notifications?.discord?.enabled || nfts.length === 0) {
-        return false;
+async function sendRareNotifications(nfts, collection, now = Date.now()) {
+    const channelsByMint = new Map(nfts.map(nft => [nft.mintAddress, []]));
+    if (nfts.length === 0) {
+        return channelsByMint;
     }
 
-    try {
-        const webhookUrl = config.notifications.discord.webhookUrl;
-        if (!webhookUrl) {
-            log('Discord webhook URL not configured');
-            return false;
+    const message = buildRareMessage(nfts, collection);
+    const quiet = isQuietTime(now);
+    const immediate = quiet ? [] : message.items.filter(item => isImmediate(item));
+    const held = message.items.filter(item => !immediate.includes(item));
+    const hold = (channel, items, dueAt) => {
+        queueNotification(collection.symbol, channel.name, withItems(message, items), { kind: 'digest', dueAt, attempts: 0 });
+        log(`Holding ${items.length} rare NFTs for the ${channel.name} digest at ${new Date(dueAt).toISOString()}`);
+    };
+
+    const sendNow = [];
+    getEnabledChannels().forEach(channel => {
+        if (held.length > 0) {
+            hold(channel, held, quiet ? quietHoursEnd(now) : nextDigestTime(now));
         }
+        if (immediate.length === 0) {
+            return;
+        }
+        if (isThrottled(channel, now)) {
+            log.warn(`${channel.name} is at its limit of ${channel.options.maxMessagesPerHour} messages per hour`);
+            hold(channel, immediate, nextDigestTime(now));
+        } else {
+            sendNow.push(channel);
+        }
+    });
+    if (sendNow.length === 0) {
+        return channelsByMint;
+    }
 
-        // Create embeds for Discord message (up to 10 NFTs to stay within Discord limits)
-        const embeds = nfts.slice(0, 10).map(nft => {
-            // Format price in SOL
-            const price = nft.price ? `${nft.price / 1000000000} SOL` : 'Not listed';
-
-            // Find rare traits
-            const rareTraits = [];
-            Object.entries(nft.rarity).forEach(([trait, details]) => {
-                if (details.rare) {
-                    rareTraits.push(`**${trait}**: ${details.value} (${details.percentage}%, ${details.reason})`);
-                }
-            });
-
-            return {
-                title: nft.name,
-                url: `https://magiceden.io/item-details/${nft.mintAddress}`,
-                thumbnail: {
-                    url: nft.image
-                },
-                fields: [
-                    {
-                        name: 'Price',
-                        value: price,
-                        inline: true
-                    },
-                    {
-                        name: 'Rare Traits',
-                        value: rareTraits.length > 0 ? rareTraits.join('\n') : 'None',
-                        inline: false
-                    }
-                ],
-                color: 0x00FFFF // Cyan color
-            };
-        });
-
-        // Add summary embed
-        const summaryEmbed = {
-            title: `Rare NFT Summary for ${collectionName}`,
-            description: `Found ${nfts.length} rare NFTs in collection **${collectionName}**`,
-            color: 0x00FFFF,
-            footer: {
-                text: 'Rare Sniper',
-                icon_url: 'https://magiceden.io/favicon.ico'
-            },
-            timestamp: new Date().toISOString()
-        };
-
-        // Add additional message if we had to truncate the list
-        if (nfts.length > 10) {
-            summaryEmbed.description += `\n(Showing 10 of ${nfts.length} rare NFTs)`;
+    const immediateMessage = withItems(message, immediate);
+    const delivered = await deliverMessage(immediateMessage, sendNow, now);
+    Object.entries(delivered).forEach(([name, mints]) => {
+        mints.forEach(mint => channelsByMint.get(mint)?.push(name));
+        const undelivered = immediate.filter(item => !mints.includes(item.mintAddress));
+        if (undelivered.length > 0) {
+            log.warn(`Failed to send ${name} notification for ${undelivered.length} of ${immediate.length} rare NFTs, queued for retry`);
+            queueNotification(collection.symbol, name, withItems(message, undelivered), { dueAt: now });
         }
+    });
+    return channelsByMint;
+}
 
-        // Send to Discord webhook
-        const username = config.notifications.discord.username || 'Rare Sniper';
-        await axios.post(webhookUrl, {
-            username,
-            content: `Found ${nfts.length} rare NFTs in collection **${collectionName}**`,
-            embeds: [summaryEmbed, ...embeds]
-        });
-
-        log(`Sent Discord summary notification for ${nfts.length} rare NFTs`);
-        return true;
-    } catch (error) {
-        log(`Error sending Discord summary notification: ${error.message}`);
-        return false;
+/**
+ * Send the queued notifications of a collection that are due: retries of notifications a
+ * channel failed to deliver, and digests of held alerts. The due notifications of a channel
+ * go out together as one message.
+ * Nothing is sent during quiet hours or to a channel at its hourly message cap. Items whose
+ * listing sold, was delisted or changed since are dropped, as is the queue of a channel that
+ * was disabled. After notifications.retry.maxAttempts failed attempts the rest of a queued
+ * notification is given up.
+ * Dropped items are returned with the rest, so they are marked as seen with the listing they
+ * were queued with: a later scan then alerts a price drop or relist of them, not a new listing.
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Array} listedNFTs - Current listings of the collection
+ * @param {number} [now] - Current time
+ * @returns {Promise<Array>} Items that left the queue delivered, dropped or given up, to mark as seen
+ */
+async function sendQueuedNotifications(collectionSymbol, listedNFTs, now = Date.now()) {
+    const queued = getQueuedNotifications(collectionSymbol);
+    if (queued.length === 0 || isQuietTime(now)) {
+        return [];
     }
+
+    const listed = new Map(listedNFTs.map(nft => [nft.mintAddress, nft]));
+    const maxAttempts = config.notifications.retry?.maxAttempts ?? 5;
+    const channels = getEnabledChannels();
+    const resolved = [];
+
+    for (const name of new Set(queued.map(entry => entry.channel))) {
+        const entries = queued.filter(entry => entry.channel === name);
+        const channel = channels.find(enabled => enabled.name === name);
+        if (!channel) {
+            removeQueuedNotifications(entries.map(entry => entry.id));
+            continue;
+        }
+
+        const due = entries.filter(entry => entry.dueAt <= now);
+        if (due.length === 0 || isThrottled(channel, now)) {
+            continue;
+        }
+
+        const dropped = [];
+        const messages = due.map(entry => withItems(entry.message, entry.message.items.filter(item => {
+            const nft = listed.get(item.mintAddress);
+            const unchanged = nft && nft.price === item.price && nft.seller === item.seller;
+            if (!unchanged) {
+                dropped.push(item);
+            }
+            return unchanged;
+        }))).filter(message => message.items.length > 0);
+        if (dropped.length > 0) {
+            log(`Dropped ${dropped.length} queued ${name} alerts whose listing sold, was delisted or changed`);
+            resolved.push(...dropped);
+        }
+        if (messages.length === 0) {
+            removeQueuedNotifications(due.map(entry => entry.id));
+            continue;
+        }
+
+        // A single retry goes out as it was first sent; anything more is combined into a digest
+        const retryOnly = messages.length === 1 && due.every(entry => entry.kind === 'retry');
+        const message = retryOnly ? messages[0] : buildDigestMessage(messages);
+        const mints = (await deliverMessage(message, [channel], now))[name];
+        removeQueuedNotifications(due.map(entry => entry.id));
+        if (mints.length > 0) {
+            addAlertChannel(collectionSymbol, mints, name);
+            resolved.push(...message.items.filter(item => mints.includes(item.mintAddress)));
+            log(`Delivered queued ${name} notification for ${mints.length} rare NFTs`);
+        }
+
+        const remaining = message.items.filter(item => !mints.includes(item.mintAddress));
+        const attempts = Math.max(...due.map(entry => entry.attempts)) + 1;
+        if (remaining.length === 0) {
+            continue;
+        }
+        if (attempts >= maxAttempts) {
+            log.error(`Giving up on ${name} notification for ${remaining.length} rare NFTs after ${attempts} attempts`);
+            resolved.push(...remaining);
+        } else {
+            queueNotification(collectionSymbol, name, withItems(message, remaining), { dueAt: now, attempts });
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Get the mint addresses with a notification queued for retry or held for a digest
+ * @param {string} collectionSymbol - Collection symbol
+ * @returns {Set<string>} Queued mint addresses
+ */
+function getQueuedMints(collectionSymbol) {
+    return new Set(getQueuedNotifications(collectionSymbol)
+        .flatMap(entry => entry.message.items.map(item => item.mintAddress)));
+}
+
+/**
+ * Sends follow-up notifications for alerted rare NFTs that sold, were delisted or changed price
+ * Follow-ups are not held for later: they are skipped during quiet hours and for channels at their hourly message cap
+ * @param {Array} outcomes - Resolved alerts from trackOutcomes
+ * @param {Object} collection - Collection info with symbol, name and marketplace adapter
+ * @param {number} [now] - Current time
+ * @returns {Promise<Object>} Map of channel names to success status
+ */
+async function sendOutcomeNotifications(outcomes, collection, now = Date.now()) {
+    if (outcomes.length === 0) {
+        return {};
+    }
+    if (isQuietTime(now)) {
+        log(`Skipping notification for ${outcomes.length} alert outcomes during quiet hours`);
+        return {};
+    }
+
+    const message = buildOutcomeMessage(outcomes, collection);
+    const delivered = await deliverMessage(message, getEnabledChannels().filter(channel => !isThrottled(channel, now)), now);
+    const status = {};
+    Object.entries(delivered).forEach(([name, mints]) => {
+        status[name] = mints.length === message.items.length;
+        if (!status[name]) {
+            log.warn(`Failed to send ${name} notification for ${outcomes.length} alert outcomes`);
+        }
+    });
+    return status;
 }
 
 module.exports = {
-    sendRareNFTDiscordNotification,
-    sendRareSummaryDiscordNotification
-}; 
+    CHANNELS,
+    getEnabledChannels,
+    deliverMessage,
+    sendMessage,
+    sendRareNotifications,
+    sendQueuedNotifications,
+    getQueuedMints,
+    sendOutcomeNotifications
+};
@@ -0,0 +1,146 @@
+const config = require('config');
+const { createLogger, elapsed } = require('./logger');
+const { getOpenAlerts, updateAlertOutcomes } = require('./history');
+const { incrementCounter } = require('./metrics');
+const log = createLogger('outcomes');
+
+/**
+ * Outcomes of alerted listings. On every scan the open alerts of a collection are compared
+ * with its current listings. A listing relisted by the same seller at another price is
+ * marked as price changed; one that left the market or is listed by someone else is looked
+ * up in the token's activities to tell whether it sold or was delisted. When the activities
+ * do not explain it yet, the lookup is retried on the next scan before it counts as delisted.
+ */
+
+const OUTCOMES = ['sold', 'delisted', 'price_changed', 'expired'];
+
+// The listing was fetched a little before the alert was sent, so a sale of the alerted
+// listing this long before the alert still counts
+const SALE_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Find the outcome of an alert in the token's activities
+ * @param {Object} alert - Open alert with price, seller and sentAt
+ * @param {Array} activities - Token activities from the marketplace adapter
+ * @returns {Object|null} Outcome with price, time and buyer, or null if nothing happened yet
+ */
+function findOutcome(alert, activities) {
+    const later = activities
+        .filter(activity => activity.time >= alert.sentAt
+            || (activity.type === 'sale' && activity.seller === alert.seller && activity.time >= alert.sentAt - SALE_GRACE_MS))
+        .sort((a, b) => a.time - b.time);
+
+    for (const activity of later) {
+        if (activity.type === 'sale') {
+            return { outcome: 'sold', price: activity.price, at: activity.time, buyer: activity.buyer };
+        }
+        if (activity.type === 'delist') {
+            return { outcome: 'delisted', at: activity.time };
+        }
+        if (activity.type === 'list' && activity.price !== alert.price) {
+            return { outcome: 'price_changed', price: activity.price, at: activity.time };
+        }
+    }
+    return null;
+}
+
+/**
+ * Describe the outcome of an alert
+ * @param {Object} outcome - Resolved alert with outcome, alerted price, outcome price and elapsedMs
+ * @param {Object} marketplace - Marketplace adapter, to format prices
+ * @returns {string} Description, such as "Sniped after 3m 12s at 2.1 SOL"
+ */
+function describeOutcome(outcome, marketplace) {
+    const after = elapsed(Math.max(0, outcome.elapsedMs));
+    switch (outcome.outcome) {
+        case 'sold':
+            return `Sniped after ${after} at ${marketplace.formatPrice(outcome.outcomePrice)}`;
+        case 'delisted':
+            return `Delisted after ${after}`;
+        case 'price_changed':
+            return `Price changed from ${marketplace.formatPrice(outcome.price)} to ${marketplace.formatPrice(outcome.outcomePrice)} after ${after}`;
+        default:
+            return `Still listed after ${after}`;
+    }
+}
+
+/**
+ * Check the open alerts of a collection against its current listings and record the
+ * outcome of the ones that sold, were delisted, changed price or were tracked long enough
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Object} analysis - Scan analysis with listed and all normalized NFTs and the trait analysis
+ * @param {Object} marketplace - Marketplace adapter
+ * @param {number} [now] - Current time
+ * @returns {Promise<Array>} Alerts resolved by this scan, with outcome, outcome price and
+ *   time, buyer, elapsedMs, description and the NFT's image and rarity score
+ */
+async function trackOutcomes(collectionSymbol, analysis, marketplace, now = Date.now()) {
+    const openAlerts = getOpenAlerts(collectionSymbol);
+    if (openAlerts.length === 0) {
+        return [];
+    }
+
+    const listed = new Map(analysis.listedNFTs.map(nft => [nft.mintAddress, nft]));
+    const trackMs = config.outcomes.trackHours * 3600000;
+    const updates = [];
+    const resolved = [];
+    const resolve = (alert, { outcome, price = null, at = now, buyer = null }) => {
+        updates.push({ id: alert.id, outcome, price, at, buyer });
+        resolved.push({ ...alert, outcome, outcomePrice: price, outcomeAt: at, buyer, elapsedMs: at - alert.sentAt });
+    };
+
+    // Listings still on the market from the same seller need no lookup
+    const lookups = [];
+    openAlerts.forEach(alert => {
+        const listing = listed.get(alert.mintAddress);
+        if (!listing || listing.seller !== alert.seller) {
+            lookups.push(alert);
+        } else if (listing.price !== alert.price) {
+            resolve(alert, { outcome: 'price_changed', price: listing.price });
+        } else if (trackMs && now - alert.sentAt >= trackMs) {
+            resolve(alert, { outcome: 'expired' });
+        } else if (alert.missingSince) {
+            updates.push({ id: alert.id, missingSince: null });
+        }
+    });
+
+    // Look up each token once, as many at a time as the request pool allows
+    const mints = [...new Set(lookups.map(alert => alert.mintAddress))];
+    const activities = await Promise.all(mints.map(mint => marketplace.getTokenActivities(mint)));
+    const activitiesByMint = new Map(mints.map((mint, index) => [mint, activities[index]]));
+
+    lookups.forEach(alert => {
+        const outcome = findOutcome(alert, activitiesByMint.get(alert.mintAddress));
+        if (outcome) {
+            resolve(alert, outcome);
+        } else if (alert.missingSince) {
+            // Still unexplained a scan later, so it was taken off the market without a sale
+            resolve(alert, { outcome: 'delisted', at: alert.missingSince });
+        } else {
+            updates.push({ id: alert.id, missingSince: now });
+        }
+    });
+
+    if (updates.length > 0) {
+        updateAlertOutcomes(updates);
+    }
+
+    const nftsByMint = new Map(analysis.allNFTs.map(nft => [nft.mintAddress, nft]));
+    resolved.forEach(outcome => {
+        const nft = nftsByMint.get(outcome.mintAddress);
+        outcome.image = nft ? nft.image : null;
+        outcome.rarityScore = analysis.traitAnalysis.rankings[outcome.mintAddress]?.score ?? null;
+        outcome.description = describeOutcome(outcome, marketplace);
+        incrementCounter('rare_sniper_alert_outcomes_total', { collection: collectionSymbol, outcome: outcome.outcome });
+        log(`${outcome.name || outcome.mintAddress}: ${outcome.description}`);
+    });
+
+    return resolved;
+}
+
+module.exports = {
+    OUTCOMES,
+    findOutcome,
+    describeOutcome,
+    trackOutcomes
+};
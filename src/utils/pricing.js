@@ -0,0 +1,178 @@
+const config = require('config');
+const { createLogger } = require('./logger');
+const log = createLogger('analyzer');
+
+/**
+ * Get the highest price-to-floor ratio allowed for an NFT of a given rarity rank
+ * Rank tiers are checked from the rarest up; NFTs outside every tier use maxFloorMultiple
+ * @param {number} rank - Rarity rank of the NFT (1 is the rarest)
+ * @param {number} totalNFTs - Number of NFTs in the collection
+ * @param {Object} settings - Price settings
+ * @returns {number} Maximum price-to-floor ratio
+ */
+function getMaxFloorMultiple(rank, totalNFTs, settings) {
+    const tiers = [...(settings.rankFloorMultiples || [])]
+        .sort((a, b) => a.maxRankPercent - b.maxRankPercent);
+    const rankPercent = totalNFTs > 0 ? (rank / totalNFTs) * 100 : 100;
+
+    const tier = tiers.find(t => rankPercent <= t.maxRankPercent);
+    return tier ? tier.floorMultiple : settings.maxFloorMultiple;
+}
+
+/**
+ * Add price-to-floor data to listed NFTs
+ * @param {Array} nfts - Listed NFTs with price and rarity rank
+ * @param {Object|null} stats - Collection stats with floorPrice and listedCount
+ * @param {number} totalNFTs - Number of NFTs in the collection
+ * @param {Object} settings - Price settings
+ * @returns {number|null} Collection floor price, or null if unknown
+ */
+function addFloorRatios(nfts, stats, totalNFTs, settings) {
+    const floorPrice = stats && stats.floorPrice > 0 ? stats.floorPrice : null;
+
+    nfts.forEach(nft => {
+        nft.floorPrice = floorPrice;
+        nft.priceToFloor = floorPrice && nft.price
+            ? parseFloat((nft.price / floorPrice).toFixed(2))
+            : null;
+        nft.maxFloorMultiple = getMaxFloorMultiple(nft.rarityRank, totalNFTs, settings);
+    });
+
+    return floorPrice;
+}
+
+/**
+ * Add price-to-floor data to rare NFTs and keep only the ones priced as deals
+ * @param {Array} nfts - Rare NFTs with price and rarity rank
+ * @param {Object|null} stats - Collection stats with floorPrice and listedCount
+ * @param {number} totalNFTs - Number of NFTs in the collection
+ * @param {Object} [settings] - Price settings, defaults to config.priceSettings
+ * @returns {Array} Rare NFTs priced under their allowed multiple of floor
+ */
+function filterFloorDeals(nfts, stats, totalNFTs, settings = config.priceSettings) {
+    const floorPrice = addFloorRatios(nfts, stats, totalNFTs, settings);
+
+    // Without a multiple or a known floor there is nothing to compare against
+    if (!settings.maxFloorMultiple) {
+        return nfts;
+    }
+    if (!floorPrice) {
+        log.warn('Floor price unavailable, alerting rare NFTs regardless of price');
+        return nfts;
+    }
+
+    return nfts.filter(nft => nft.priceToFloor !== null && nft.priceToFloor <= nft.maxFloorMultiple);
+}
+
+/**
+ * Build the trait floor table from the current listings: the cheapest listing for
+ * each trait_type/value pair. Pricing data is also added to the matching entry in
+ * traitAnalysis.traitCounts as a floor object
+ * @param {Array} listedNFTs - Normalized listed NFTs with price
+ * @param {Object} traitAnalysis - Result from countTraits
+ * @returns {Object} Map of trait types to values to floor data
+ */
+function buildTraitFloors(listedNFTs, traitAnalysis) {
+    const { traitCounts, traitTypes } = traitAnalysis;
+    const traitFloors = {};
+
+    traitTypes.forEach(type => {
+        traitFloors[type] = {};
+    });
+
+    listedNFTs.forEach(nft => {
+        if (!nft.price) return;
+
+        traitTypes.forEach(type => {
+            const value = nft.traits[type] || 'None';
+            const floor = traitFloors[type][value] || (traitFloors[type][value] = {
+                price: null,
+                mintAddress: null,
+                // Second cheapest listing, so a listing can be compared to the floor of the others
+                nextPrice: null,
+                listedCount: 0
+            });
+
+            floor.listedCount++;
+            if (floor.price === null || nft.price < floor.price) {
+                floor.nextPrice = floor.price;
+                floor.price = nft.price;
+                floor.mintAddress = nft.mintAddress;
+            } else if (floor.nextPrice === null || nft.price < floor.nextPrice) {
+                floor.nextPrice = nft.price;
+            }
+        });
+    });
+
+    // Extend the collection trait counts with the listing floors
+    traitTypes.forEach(type => {
+        Object.entries(traitCounts[type]).forEach(([value, stats]) => {
+            stats.floor = traitFloors[type][value] || null;
+        });
+    });
+
+    return traitFloors;
+}
+
+/**
+ * Find listings priced below the floor of their most valuable trait, rare or not
+ * A listing's most valuable trait is the one whose floor among the other listings is highest.
+ * The cheapest listing of a common trait is always below the floor of the others with it, so
+ * a trait floor only counts when enough other listings back it and it sits far enough above
+ * the collection floor to say something about the trait's value
+ * @param {Array} listedNFTs - Normalized listed NFTs with price
+ * @param {Object} traitFloors - Result from buildTraitFloors
+ * @param {number|null} floorPrice - Collection floor price, or null if unknown
+ * @param {Object} [settings] - Price settings, defaults to config.priceSettings
+ * @returns {Array} Underpriced NFTs, each with an underpriced object describing the trait
+ */
+function findUnderpricedNFTs(listedNFTs, traitFloors, floorPrice, settings = config.priceSettings) {
+    if (!settings.traitFloorAlerts) {
+        return [];
+    }
+
+    const minDiscountPercent = settings.traitFloorMinDiscountPercent || 0;
+    const minListings = settings.traitFloorMinListings || 1;
+    // Without a known collection floor the premium cannot be checked
+    const minTraitFloor = floorPrice > 0 ? floorPrice * (1 + (settings.traitFloorMinPremiumPercent || 0) / 100) : 0;
+    const underpricedNFTs = [];
+
+    listedNFTs.forEach(nft => {
+        if (!nft.price) return;
+
+        let mostValuable = null;
+        Object.keys(traitFloors).forEach(type => {
+            const value = nft.traits[type] || 'None';
+            const floor = traitFloors[type][value];
+            // Missing values say nothing about the value of a listing
+            if (value === 'None' || !floor) return;
+
+            const isFloor = floor.mintAddress === nft.mintAddress;
+            const otherFloor = isFloor ? floor.nextPrice : floor.price;
+            const otherListings = floor.listedCount - 1;
+            if (otherFloor === null || otherListings < minListings || otherFloor < minTraitFloor) return;
+
+            if (!mostValuable || otherFloor > mostValuable.traitFloor) {
+                mostValuable = { traitType: type, value, traitFloor: otherFloor };
+            }
+        });
+
+        if (!mostValuable) return;
+
+        const discountPercent = parseFloat((((mostValuable.traitFloor - nft.price) / mostValuable.traitFloor) * 100).toFixed(2));
+        if (nft.price < mostValuable.traitFloor && discountPercent >= minDiscountPercent) {
+            nft.underpriced = { ...mostValuable, discountPercent };
+            underpricedNFTs.push(nft);
+        }
+    });
+
+    return underpricedNFTs;
+}
+
+module.exports = {
+    getMaxFloorMultiple,
+    addFloorRatios,
+    filterFloorDeals,
+    buildTraitFloors,
+    findUnderpricedNFTs
+};
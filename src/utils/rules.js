@@ -0,0 +1,132 @@
+const { createLogger } = require('./logger');
+const log = createLogger('analyzer');
+
+/**
+ * Alert rules narrow down which of the rare and underpriced listings found with the rarity
+ * and price settings are alerted. A rule is a set of conditions that must all hold; a
+ * listing alerts when it matches any rule, and the first matching rule is reported with
+ * the alert. Without rules, every rare and underpriced listing is alerted.
+ */
+
+// Conditions a rule can combine
+const RULE_CONDITIONS = ['name', 'traits', 'excludeTraits', 'maxPriceSol', 'minRareTraits', 'minRank', 'maxRank', 'excludeSellers'];
+
+/**
+ * Get the name of a rule, falling back to its position in the rule set
+ * @param {Object} rule - Alert rule
+ * @param {number} index - Position of the rule in the rule set
+ * @returns {string} Rule name
+ */
+function ruleName(rule, index) {
+    return rule.name || `Rule ${index + 1}`;
+}
+
+/**
+ * Check a rule set for conditions that are not understood, which would otherwise be ignored silently
+ * @param {Array} rules - Alert rules
+ * @param {string} collectionSymbol - Collection symbol the rules belong to
+ * @returns {boolean} Whether every rule is valid
+ */
+function checkRules(rules, collectionSymbol) {
+    if (!Array.isArray(rules)) {
+        log.warn(`alertRules for ${collectionSymbol} must be an array, ignoring them`);
+        return false;
+    }
+
+    let valid = true;
+    rules.forEach((rule, index) => {
+        const unknown = Object.keys(rule || {}).filter(key => !RULE_CONDITIONS.includes(key));
+        if (unknown.length > 0) {
+            log.warn(`Alert rule "${ruleName(rule || {}, index)}" for ${collectionSymbol} has unknown conditions: ${unknown.join(', ')}`);
+            valid = false;
+        }
+    });
+    return valid;
+}
+
+/**
+ * Check whether an NFT has a trait value matching a condition
+ * @param {Object} nft - Normalized NFT
+ * @param {string} type - Trait type
+ * @param {string|Array<string>} expected - Trait value, or any of several values
+ * @returns {boolean} Whether the NFT's value for the trait type matches
+ */
+function hasTrait(nft, type, expected) {
+    const value = String(nft.traits[type] ?? 'None');
+    const values = Array.isArray(expected) ? expected : [expected];
+    return values.some(candidate => String(candidate) === value);
+}
+
+/**
+ * Check whether a listed NFT meets every condition of a rule
+ * @param {Object} nft - Normalized listed NFT with price, seller, rank and rarity details
+ * @param {Object} rule - Alert rule
+ * @param {Object} marketplace - Marketplace adapter, to convert prices for the price ceiling
+ * @returns {boolean} Whether the rule matches
+ */
+function matchRule(nft, rule, marketplace) {
+    const required = rule.traits || {};
+    if (!Object.entries(required).every(([type, expected]) => hasTrait(nft, type, expected))) {
+        return false;
+    }
+
+    const excluded = rule.excludeTraits || {};
+    if (Object.entries(excluded).some(([type, expected]) => hasTrait(nft, type, expected))) {
+        return false;
+    }
+
+    if (rule.maxPriceSol !== undefined && !(nft.price && marketplace.toAmount(nft.price) <= rule.maxPriceSol)) {
+        return false;
+    }
+
+    if (rule.minRareTraits !== undefined && (nft.rareTraitCount || 0) < rule.minRareTraits) {
+        return false;
+    }
+
+    if (rule.minRank !== undefined && !(nft.rarityRank >= rule.minRank)) {
+        return false;
+    }
+
+    if (rule.maxRank !== undefined && !(nft.rarityRank <= rule.maxRank)) {
+        return false;
+    }
+
+    if (rule.excludeSellers && rule.excludeSellers.includes(nft.seller)) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Pick the candidate listings to alert and record the rule each one matched
+ * @param {Array} candidates - Rare and underpriced listings found with the rarity and price settings
+ * @param {Array} rules - The collection's alert rules
+ * @param {Object} marketplace - Marketplace adapter
+ * @returns {Array} NFTs to alert, each with matchedRule set
+ */
+function applyAlertRules(candidates, rules, marketplace) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        candidates.forEach(nft => {
+            nft.matchedRule = nft.rareTraitCount > 0 || !nft.underpriced ? 'Rarity settings' : 'Trait floor';
+        });
+        return candidates;
+    }
+
+    const matched = [];
+    candidates.forEach(nft => {
+        const index = rules.findIndex(rule => matchRule(nft, rule, marketplace));
+        if (index !== -1) {
+            nft.matchedRule = ruleName(rules[index], index);
+            matched.push(nft);
+        }
+    });
+    return matched;
+}
+
+module.exports = {
+    RULE_CONDITIONS,
+    checkRules,
+    matchRule,
+    applyAlertRules
+};
@@ -0,0 +1,432 @@
+const config = require('config');
+const { LEVELS } = require('./logger');
+const { SCORING_METHODS } = require('./analyzer');
+
+/**
+ * Config schema. Every section of config/default.json is described here, so a mistyped
+ * key or a value of the wrong type is reported at startup instead of silently reading as
+ * undefined. Secrets are listed with the environment variables they are read from (see
+ * config/custom-environment-variables.json); they must not be committed in config files.
+ */
+
+/**
+ * Schema builders. Each returns a schema node with a type and its constraints.
+ */
+const string = () => ({ type: 'string' });
+const boolean = () => ({ type: 'boolean' });
+const number = ({ min, max, integer = false } = {}) => ({ type: 'number', min, max, integer });
+const integer = options => number({ ...options, integer: true });
+const oneOf = (...values) => ({ type: 'enum', values });
+const arrayOf = items => ({ type: 'array', items });
+const object = keys => ({ type: 'object', keys });
+const mapOf = values => ({ type: 'map', values });
+const anyOf = (...schemas) => ({ type: 'anyOf', schemas });
+const nullable = schema => ({ ...schema, nullable: true });
+const any = () => ({ type: 'any' });
+const timeOfDay = () => ({ type: 'time' });
+
+const percent = () => number({ min: 0, max: 100 });
+const traitValues = () => mapOf(anyOf(string(), number(), arrayOf(anyOf(string(), number()))));
+
+const ALERT_RULE = object({
+    name: string(),
+    traits: traitValues(),
+    excludeTraits: traitValues(),
+    maxPriceSol: number({ min: 0 }),
+    minRareTraits: integer({ min: 0 }),
+    minRank: integer({ min: 1 }),
+    maxRank: integer({ min: 1 }),
+    excludeSellers: arrayOf(string())
+});
+
+const RARITY_SETTINGS = {
+    oneOfOneThreshold: boolean(),
+    percentThreshold: percent(),
+    scanIntervalMinutes: number({ min: 0.1 }),
+    scoringMethod: oneOf(...Object.keys(SCORING_METHODS)),
+    requireRareTrait: boolean(),
+    maxRank: integer({ min: 0 }),
+    minScore: number({ min: 0 }),
+    combinationSize: integer({ min: 0 }),
+    combinationPercentThreshold: percent(),
+    traitSetAnalysis: boolean()
+};
+
+const PRICE_SETTINGS = {
+    maxFloorMultiple: number({ min: 0 }),
+    rankFloorMultiples: arrayOf(object({ maxRankPercent: percent(), floorMultiple: number({ min: 0 }) })),
+    traitFloorAlerts: boolean(),
+    traitFloorMinDiscountPercent: percent(),
+    traitFloorMinListings: integer({ min: 1 }),
+    traitFloorMinPremiumPercent: number({ min: 0 })
+};
+
+const ALERT_SETTINGS = {
+    realertPriceDropPercent: percent(),
+    realertRelistDelayMinutes: number({ min: 0 }),
+    realertOnNewSeller: boolean(),
+    alertRules: arrayOf(ALERT_RULE)
+};
+
+const CONFIG_SCHEMA = object({
+    marketplace: string(),
+    magiceden: object({
+        api: string(),
+        requestsPerSecond: number({ min: 0.01 }),
+        burst: number({ min: 1 }),
+        concurrency: integer({ min: 1 }),
+        timeoutMs: integer({ min: 1 }),
+        retry: object({
+            maxRetries: integer({ min: 0 }),
+            baseDelayMs: number({ min: 0 }),
+            maxDelayMs: number({ min: 0 })
+        }),
+        fixtures: object({
+            mode: oneOf('off', 'record', 'replay'),
+            dir: string()
+        })
+    }),
+    raritySettings: object(RARITY_SETTINGS),
+    priceSettings: object(PRICE_SETTINGS),
+    alertSettings: object(ALERT_SETTINGS),
+    collectionAnalysis: object({
+        cacheFullCollectionData: boolean(),
+        cacheExpireHours: number({ min: 0 }),
+        maxNFTsToFetch: integer({ min: 1 })
+    }),
+    database: object({
+        file: string(),
+        historyDays: integer({ min: 0 })
+    }),
+    watchlist: object({
+        file: string()
+    }),
+    export: object({
+        onScan: boolean(),
+        formats: arrayOf(oneOf('csv', 'json', 'html')),
+        dir: string()
+    }),
+    backtest: object({
+        maxActivities: integer({ min: 1 })
+    }),
+    outcomes: object({
+        enabled: boolean(),
+        trackHours: number({ min: 0 }),
+        notify: boolean(),
+        notifyOutcomes: arrayOf(oneOf('sold', 'delisted', 'price_changed', 'expired'))
+    }),
+    logging: object({
+        level: oneOf(...Object.keys(LEVELS)),
+        format: oneOf('text', 'json'),
+        modules: mapOf(oneOf(...Object.keys(LEVELS))),
+        file: object({
+            path: string(),
+            format: oneOf('text', 'json'),
+            rotate: oneOf('size', 'date'),
+            maxSizeMB: number({ min: 0.001 }),
+            maxFiles: integer({ min: 0 })
+        })
+    }),
+    server: object({
+        enabled: boolean(),
+        host: string(),
+        port: integer({ min: 0, max: 65535 }),
+        token: string(),
+        refreshSeconds: number({ min: 1 })
+    }),
+    notifications: object({
+        discord: object({
+            enabled: boolean(),
+            webhookUrl: string(),
+            username: string(),
+            maxRetries: integer({ min: 0 }),
+            maxMessagesPerHour: integer({ min: 0 })
+        }),
+        slack: object({
+            enabled: boolean(),
+            webhookUrl: string(),
+            username: string(),
+            maxMessagesPerHour: integer({ min: 0 })
+        }),
+        telegram: object({
+            enabled: boolean(),
+            apiUrl: string(),
+            botToken: string(),
+            chatId: anyOf(string(), integer()),
+            maxMessagesPerHour: integer({ min: 0 })
+        }),
+        webhook: object({
+            enabled: boolean(),
+            url: string(),
+            method: oneOf('POST', 'PUT', 'PATCH'),
+            headers: mapOf(string()),
+            template: nullable(any()),
+            maxMessagesPerHour: integer({ min: 0 })
+        }),
+        email: object({
+            enabled: boolean(),
+            host: string(),
+            port: integer({ min: 1, max: 65535 }),
+            secure: boolean(),
+            ignoreTLS: boolean(),
+            user: string(),
+            pass: string(),
+            from: string(),
+            to: string(),
+            maxMessagesPerHour: integer({ min: 0 })
+        }),
+        retry: object({
+            maxAttempts: integer({ min: 1 })
+        }),
+        delivery: object({
+            immediateMinScore: number({ min: 0 }),
+            digest: object({
+                interval: oneOf('hourly', 'daily'),
+                dailyAt: timeOfDay()
+            }),
+            quietHours: object({
+                enabled: boolean(),
+                start: timeOfDay(),
+                end: timeOfDay()
+            })
+        })
+    })
+});
+
+// Config paths of secrets, with the environment variables they are read from
+const SECRETS = {
+    'notifications.discord.webhookUrl': 'DISCORD_WEBHOOK_URL',
+    'notifications.slack.webhookUrl': 'SLACK_WEBHOOK_URL',
+    'notifications.telegram.botToken': 'TELEGRAM_BOT_TOKEN',
+    'notifications.webhook.url': 'WEBHOOK_URL',
+    'notifications.webhook.headers': 'WEBHOOK_HEADERS',
+    'notifications.email.user': 'SMTP_USER',
+    'notifications.email.pass': 'SMTP_PASS',
+    'server.token': 'SERVER_TOKEN'
+};
+
+// Settings each enabled notification channel cannot work without
+const REQUIRED_WHEN_ENABLED = {
+    discord: ['webhookUrl'],
+    slack: ['webhookUrl'],
+    telegram: ['botToken', 'chatId'],
+    webhook: ['url'],
+    email: ['host', 'to']
+};
+
+/**
+ * Describe a value for an error message
+ * @param {any} value - Value
+ * @returns {string} Type and value, such as string "yes"
+ */
+function describeValue(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Describe what a schema node expects
+ * @param {Object} schema - Schema node
+ * @returns {string} Expected value, such as a number from 0 to 100
+ */
+function describeSchema(schema) {
+    switch (schema.type) {
+        case 'number': {
+            const kind = schema.integer ? 'an integer' : 'a number';
+            if (schema.min !== undefined && schema.max !== undefined) return `${kind} from ${schema.min} to ${schema.max}`;
+            if (schema.min !== undefined) return `${kind} of at least ${schema.min}`;
+            return kind;
+        }
+        case 'enum': return `one of ${schema.values.map(value => JSON.stringify(value)).join(', ')}`;
+        case 'time': return 'a time of day as HH:MM';
+        case 'anyOf': return schema.schemas.map(describeSchema).join(' or ');
+        case 'array': return 'an array';
+        case 'object':
+        case 'map': return 'an object';
+        default: return `a ${schema.type}`;
+    }
+}
+
+/**
+ * Count the single-character edits between two strings, to suggest a key for a typo
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Describe an unknown key, suggesting the closest known key
+ * @param {string} key - Unknown key
+ * @param {Array<string>} known - Known keys
+ * @returns {string} Error text
+ */
+function unknownKey(key, known) {
+    const closest = known
+        .map(name => ({ name, distance: editDistance(key, name) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    const suggestion = closest && closest.distance <= Math.max(2, Math.floor(key.length / 4)) ? ` (did you mean ${closest.name}?)` : '';
+    return `unknown key${suggestion}`;
+}
+
+/**
+ * Check a value against a schema node
+ * @param {any} value - Value
+ * @param {Object} schema - Schema node
+ * @param {string} path - Config path of the value, for error messages
+ * @param {Array<string>} errors - Errors found, added to
+ */
+function validateValue(value, schema, path, errors) {
+    if (value === null && schema.nullable) {
+        return;
+    }
+
+    const fail = () => errors.push(`${path}: expected ${describeSchema(schema)}, got ${describeValue(value)}`);
+
+    switch (schema.type) {
+        case 'any':
+            return;
+        case 'string':
+        case 'boolean':
+            if (typeof value !== schema.type) fail();
+            return;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value) || (schema.integer && !Number.isInteger(value))
+                || (schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                fail();
+            }
+            return;
+        case 'enum':
+            if (!schema.values.includes(value)) fail();
+            return;
+        case 'time':
+            if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) fail();
+            return;
+        case 'anyOf': {
+            const matches = schema.schemas.some(option => {
+                const optionErrors = [];
+                validateValue(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matches) fail();
+            return;
+        }
+        case 'array':
+            if (!Array.isArray(value)) {
+                fail();
+                return;
+            }
+            value.forEach((item, index) => validateValue(item, schema.items, `${path}[${index}]`, errors));
+            return;
+        case 'map':
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                fail();
+                return;
+            }
+            Object.entries(value).forEach(([key, child]) => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (schema.type === 'map') {
+                    validateValue(child, schema.values, childPath, errors);
+                } else if (!schema.keys[key]) {
+                    errors.push(`${childPath}: ${unknownKey(key, Object.keys(schema.keys))}`);
+                } else if (child !== undefined) {
+                    validateValue(child, schema.keys[key], childPath, errors);
+                }
+            });
+            return;
+        }
+        default:
+            throw new Error(`Unknown schema type at ${path}: ${schema.type}`);
+    }
+}
+
+/**
+ * Check a config object against the schema, and that every enabled notification channel
+ * has the settings it needs
+ * @param {Object} values - Config values
+ * @returns {Array<string>} Errors, empty when the config is valid
+ */
+function validateConfig(values) {
+    const errors = [];
+    validateValue(values, CONFIG_SCHEMA, '', errors);
+
+    Object.entries(REQUIRED_WHEN_ENABLED).forEach(([channel, keys]) => {
+        const options = values.notifications?.[channel];
+        if (!options?.enabled) {
+            return;
+        }
+        keys.filter(key => options[key] === undefined || options[key] === '').forEach(key => {
+            const path = `notifications.${channel}.${key}`;
+            const env = SECRETS[path] ? `; set ${SECRETS[path]} in the environment or .env` : '';
+            errors.push(`${path}: required when notifications.${channel}.enabled is true${env}`);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Check the overrides of a watchlist entry, which may set any rarity, price or alert setting
+ * @param {Object} item - Watchlist entry object
+ * @returns {Array<string>} Errors, empty when the entry is valid
+ */
+function validateWatchlistEntry(item) {
+    const schema = object({ symbol: string(), marketplace: string(), ...RARITY_SETTINGS, ...PRICE_SETTINGS, ...ALERT_SETTINGS });
+    const errors = [];
+    validateValue(item, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Find secrets set in config files rather than taken from the environment
+ * @returns {Array<string>} Errors for the secrets found, with the file and variable to use instead
+ */
+function findCommittedSecrets() {
+    const found = [];
+    config.util.getConfigSources()
+        .filter(source => /\.(json5?|js|ya?ml|toml|cson|properties|hjson)$/.test(source.name))
+        .filter(source => !/custom-environment-variables\.\w+$/.test(source.name))
+        .forEach(source => {
+            Object.entries(SECRETS).forEach(([path, env]) => {
+                const value = path.split('.').reduce((node, key) => (node ? node[key] : undefined), source.parsed);
+                const isSet = typeof value === 'string' ? value !== '' : value && Object.keys(value).length > 0;
+                if (isSet) {
+                    found.push(`${path}: secrets are not read from config files, but it is set in ${source.name}; set ${env} in the environment or .env instead`);
+                }
+            });
+        });
+    return found;
+}
+
+/**
+ * Check the loaded config, including that no secret is set in a config file
+ * @throws {Error} Listing every config error, one per line
+ */
+function checkConfig() {
+    const errors = [...validateConfig(config.util.toObject()), ...findCommittedSecrets()];
+    if (errors.length > 0) {
+        throw new Error(`Invalid config:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    SECRETS,
+    validateConfig,
+    validateWatchlistEntry,
+    checkConfig
+};
@@ -0,0 +1,118 @@
+const config = require('config');
+
+/**
+ * Seen rare NFT state, keyed by mint address. Each entry remembers the listing that was
+ * last alerted (seller and price) and when the NFT left the market, so a rare NFT can be
+ * alerted again when it comes back cheaper, from a new seller or after being delisted.
+ * Once an NFT comes back, its entry holds relistedAfterMs, how long it was gone, until the
+ * relisted listing is alerted or leaves the market again. It is saved with the entry, so a
+ * pending relist alert survives a restart.
+ */
+
+/**
+ * Create a seen entry
+ * Entries from the old seen format (a bare mint address) have no listing details
+ * @param {string|Object} value - Mint address or entry fields
+ * @returns {Object} Seen entry
+ */
+function toSeenEntry(value) {
+    const entry = typeof value === 'string' ? { mintAddress: value } : value;
+    return {
+        mintAddress: entry.mintAddress,
+        seller: entry.seller ?? null,
+        price: entry.price ?? null,
+        notifiedAt: entry.notifiedAt ?? null,
+        delistedAt: entry.delistedAt ?? null,
+        relistedAfterMs: entry.relistedAfterMs ?? null
+    };
+}
+
+/**
+ * Build seen state from stored entries, in either the old (array of mint addresses) or new shape
+ * @param {Array} entries - Mint addresses or entry objects
+ * @returns {Map} Map of mint addresses to seen entries
+ */
+function toSeenState(entries) {
+    const seen = new Map();
+    entries.forEach(value => {
+        const entry = toSeenEntry(value);
+        if (entry.mintAddress) {
+            seen.set(entry.mintAddress, entry);
+        }
+    });
+    return seen;
+}
+
+/**
+ * Record when seen NFTs left the market, and how long the ones listed again were gone
+ * An NFT listed again keeps relistedAfterMs until markNotified records its alert
+ * @param {Map} seen - Seen state
+ * @param {Set} listedMints - Mint addresses listed in the current scan
+ * @param {number} now - Current time
+ */
+function markDelisted(seen, listedMints, now) {
+    seen.forEach(entry => {
+        if (!listedMints.has(entry.mintAddress)) {
+            entry.delistedAt = entry.delistedAt || now;
+            entry.relistedAfterMs = null;
+        } else if (entry.delistedAt) {
+            entry.relistedAfterMs = now - entry.delistedAt;
+            entry.delistedAt = null;
+        }
+    });
+}
+
+/**
+ * Decide whether a rare listing should be alerted
+ * @param {Object|undefined} entry - Seen entry for the NFT, if it was alerted before
+ * @param {Object} nft - Rare listed NFT with price and seller
+ * @param {Object} [settings] - Alert settings, defaults to config.alertSettings
+ * @returns {string|null} Reason to alert, or null if it was already alerted
+ */
+function getAlertReason(entry, nft, settings = config.alertSettings) {
+    if (!entry) {
+        return 'New listing';
+    }
+
+    // Back on the market after being delisted for long enough, and not alerted since
+    if (entry.relistedAfterMs && settings.realertRelistDelayMinutes
+        && entry.relistedAfterMs / 60000 >= settings.realertRelistDelayMinutes) {
+        return 'Relisted';
+    }
+
+    if (settings.realertOnNewSeller && entry.seller && nft.seller && nft.seller !== entry.seller) {
+        return 'New seller';
+    }
+
+    if (settings.realertPriceDropPercent && entry.price && nft.price) {
+        const dropPercent = ((entry.price - nft.price) / entry.price) * 100;
+        if (dropPercent >= settings.realertPriceDropPercent) {
+            return `Price drop ${parseFloat(dropPercent.toFixed(2))}%`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Remember the listing that was just alerted
+ * @param {Map} seen - Seen state
+ * @param {Object} nft - Alerted NFT with price and seller
+ * @param {number} now - Current time
+ */
+function markNotified(seen, nft, now) {
+    seen.set(nft.mintAddress, toSeenEntry({
+        mintAddress: nft.mintAddress,
+        seller: nft.seller,
+        price: nft.price,
+        notifiedAt: now
+    }));
+}
+
+module.exports = {
+    toSeenEntry,
+    toSeenState,
+    markDelisted,
+    getAlertReason,
+    markNotified
+};
@@ -0,0 +1,110 @@
+const config = require('config');
+const { createLogger } = require('./logger');
+const { loadFromCache, saveToCache, addToCache, getSyncState } = require('./cache');
+const { recordCacheLookup } = require('./metrics');
+const log = createLogger('sync');
+
+/**
+ * Get all NFTs in a collection, from cache while it is valid and otherwise by syncing
+ * An expired cache is refreshed incrementally: only activities since the stored sync
+ * cursor are walked and only unseen mints are fetched. The whole collection is only
+ * re-fetched when a full rebuild is requested or nothing is cached yet.
+ * @param {Object} marketplace - Marketplace adapter
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.full] - Rebuild the cache from scratch
+ * @param {boolean} [options.refresh] - Sync new activity even if the cache has not expired
+ * @param {Function} [options.onRefresh] - Called after a sync with whether it was a full fetch,
+ *   the number of NFTs fetched and the total number of NFTs in the collection
+ * @returns {Promise<Array>} All NFT metadata in the collection
+ */
+async function syncCollection(marketplace, collectionSymbol, { full = false, refresh = false, onRefresh } = {}) {
+    const cacheEnabled = config.collectionAnalysis.cacheFullCollectionData;
+
+    if (!full && !refresh) {
+        // Try to load from cache first
+        const cachedNFTs = loadFromCache(collectionSymbol);
+        if (cachedNFTs && cachedNFTs.length > 0) {
+            log(`Using cached data for collection ${collectionSymbol}`);
+            recordCacheLookup(collectionSymbol, 'collection', 'hit');
+            return cachedNFTs;
+        }
+    }
+    recordCacheLookup(collectionSymbol, 'collection', 'miss');
+
+    const state = cacheEnabled && !full ? getSyncState(collectionSymbol) : { cursor: null, knownMints: new Set() };
+
+    if (state.knownMints.size === 0) {
+        // Nothing cached, caching disabled or a rebuild requested - fetch everything from the API
+        log(`Fetching all NFTs in the collection for accurate rarity analysis...`);
+        const { nfts, cursor, complete } = await marketplace.syncTokens(collectionSymbol);
+
+        // Save to cache if we have data and caching is enabled; an incomplete fetch is
+        // not marked as fresh, so the next scan syncs the rest
+        if (nfts.length > 0) {
+            saveToCache(collectionSymbol, nfts, { synced: complete, cursor });
+        }
+        if (onRefresh) {
+            onRefresh({ full: true, fetched: nfts.length, total: nfts.length });
+        }
+        return nfts;
+    }
+
+    log(`Refreshing cached data for collection ${collectionSymbol} (${state.knownMints.size} NFTs cached)...`);
+    // The new cursor is only stored once every activity since the old one was walked
+    const { nfts, cursor, complete } = await marketplace.syncTokens(collectionSymbol, state);
+    addToCache(collectionSymbol, nfts, { synced: complete, cursor });
+
+    const allNFTs = loadFromCache(collectionSymbol, { ignoreExpiry: true }) || [];
+    if (onRefresh) {
+        onRefresh({ full: false, fetched: nfts.length, total: allNFTs.length });
+    }
+    return allNFTs;
+}
+
+/**
+ * Join listings with their token metadata
+ * Metadata comes from an in-memory mint index of the collection; only mints missing from
+ * it are fetched, and those are added to the collection and written back to the cache so
+ * the rarity universe grows over time
+ * @param {Object} marketplace - Marketplace adapter
+ * @param {string} collectionSymbol - Collection symbol
+ * @param {Array} listings - Listings from the marketplace adapter
+ * @param {Array} allNFTs - All NFT metadata in the collection, extended in place with fetched metadata
+ * @returns {Promise<Array>} Listings paired with their metadata, as { listing, metadata }
+ */
+async function joinListingMetadata(marketplace, collectionSymbol, listings, allNFTs) {
+    const mintIndex = new Map(allNFTs.map(nft => [nft.mintAddress, nft]));
+
+    // Fetch the cache misses, as many at a time as the request pool allows
+    const missingMints = [...new Set(listings
+        .map(listing => listing.mintAddress)
+        .filter(mint => !mintIndex.has(mint)))];
+    const fetchedNFTs = (await Promise.all(missingMints.map(mint => marketplace.getTokenMetadata(mint))))
+        .filter(metadata => metadata);
+    fetchedNFTs.forEach(metadata => mintIndex.set(metadata.mintAddress, metadata));
+
+    const joined = [];
+    listings.forEach(listing => {
+        const metadata = mintIndex.get(listing.mintAddress);
+        if (metadata) {
+            joined.push({ listing, metadata });
+        }
+    });
+
+    log(`Matched ${listings.length - missingMints.length} listings from the collection index, fetched metadata for ${fetchedNFTs.length}`);
+    recordCacheLookup(collectionSymbol, 'metadata', 'hit', listings.length - missingMints.length);
+    recordCacheLookup(collectionSymbol, 'metadata', 'miss', missingMints.length);
+
+    if (fetchedNFTs.length > 0) {
+        allNFTs.push(...fetchedNFTs);
+        addToCache(collectionSymbol, fetchedNFTs);
+    }
+
+    return joined;
+}
+
+module.exports = {
+    syncCollection,
+    joinListingMetadata
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { createLogger } = require('./logger');
+const { checkRules } = require('./rules');
+const { validateWatchlistEntry } = require('./schema');
+const { MARKETPLACES } = require('../marketplaces');
+const log = createLogger('watchlist');
+
+/**
+ * Check watchlist entries, as checkConfig checks the config
+ * @param {Array} entries - Collection symbols or entry objects
+ * @throws {Error} Listing every invalid entry setting, one per line
+ */
+function checkWatchlist(entries) {
+    const errors = [];
+    entries.forEach((entry, index) => {
+        if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+            const name = typeof entry.symbol === 'string' && entry.symbol.trim() !== '' ? entry.symbol.trim() : `entry ${index + 1}`;
+            errors.push(...validateWatchlistEntry(entry).map(error => `${name}: ${error}`));
+        }
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid watchlist:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+}
+
+/**
+ * Build the settings for a single watchlist entry by applying its overrides
+ * on top of the global rarity, price and alert settings
+ * @param {string|Object} entry - Collection symbol or object with a symbol and overrides, checked by checkWatchlist
+ * @returns {Object|null} Collection entry with symbol, marketplace name and merged settings
+ */
+function resolveEntry(entry) {
+    const item = typeof entry === 'string' ? { symbol: entry } : entry;
+    if (!item || typeof item.symbol !== 'string' || item.symbol.trim() === '') {
+        log.warn('Skipping watchlist entry without a collection symbol:', JSON.stringify(entry));
+        return null;
+    }
+
+    const settings = { ...config.raritySettings, ...config.priceSettings, ...config.alertSettings };
+    Object.keys(settings).forEach(key => {
+        if (item[key] !== undefined) {
+            settings[key] = item[key];
+        }
+    });
+
+    const symbol = item.symbol.trim();
+    const marketplace = item.marketplace || config.marketplace;
+    if (!MARKETPLACES[marketplace]) {
+        log.warn(`Skipping watchlist entry ${symbol} with unknown marketplace: ${marketplace}`);
+        return null;
+    }
+
+    // Unknown rule conditions only warn; rules that are not a list are dropped
+    checkRules(settings.alertRules, symbol);
+    if (!Array.isArray(settings.alertRules)) {
+        settings.alertRules = [];
+    }
+
+    return {
+        symbol,
+        marketplace,
+        settings
+    };
+}
+
+/**
+ * Build a watchlist from a list of collection symbols or entries
+ * @param {Array} entries - Collection symbols or entry objects
+ * @returns {Array} Resolved watchlist entries, without duplicates
+ * @throws {Error} Listing every invalid entry setting, when an entry has one
+ */
+function buildWatchlist(entries) {
+    checkWatchlist(entries);
+
+    const watchlist = [];
+    const symbols = new Set();
+
+    entries.forEach(entry => {
+        const resolved = resolveEntry(entry);
+        if (!resolved) return;
+
+        if (symbols.has(resolved.symbol)) {
+            log.warn(`Duplicate watchlist entry for ${resolved.symbol}, using the first one`);
+            return;
+        }
+
+        symbols.add(resolved.symbol);
+        watchlist.push(resolved);
+    });
+
+    return watchlist;
+}
+
+/**
+ * Load a watchlist file
+ * The file is a JSON array (or an object with a "collections" array) of collection
+ * symbols or objects with a symbol and any raritySettings, priceSettings or alertSettings overrides
+ * @param {string} filePath - Path to the watchlist file
+ * @returns {Array} Resolved watchlist entries
+ * @throws {Error} Listing every invalid entry setting, when an entry has one
+ */
+function loadWatchlist(filePath) {
+    const resolvedPath = path.resolve(process.cwd(), filePath);
+
+    if (!fs.existsSync(resolvedPath)) {
+        log.error(`Watchlist file not found: ${resolvedPath}`);
+        return [];
+    }
+
+    let entries;
+    try {
+        const data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        entries = Array.isArray(data) ? data : data.collections;
+    } catch (error) {
+        log.error(`Error loading watchlist ${resolvedPath}:`, error);
+        return [];
+    }
+    if (!Array.isArray(entries)) {
+        log.error(`Watchlist file ${resolvedPath} must contain an array of collections`);
+        return [];
+    }
+
+    const watchlist = buildWatchlist(entries);
+    log(`Loaded ${watchlist.length} collections from watchlist ${resolvedPath}`);
+    return watchlist;
+}
+
+/**
+ * Resolve the collections to watch: symbols given on the command line, else a watchlist
+ * file, else the watchlist file in config
+ * @param {Array<string>} symbols - Collection symbols
+ * @param {string} [watchlistFile] - Path to a watchlist file
+ * @returns {Array} Resolved watchlist entries
+ * @throws {Error} Listing every invalid entry setting, when an entry has one
+ */
+function resolveWatchlist(symbols, watchlistFile) {
+    if (symbols.length > 0) {
+        if (watchlistFile) {
+            log.warn(`Watching the collections given, not the ones in watchlist ${watchlistFile}`);
+        }
+        return buildWatchlist(symbols);
+    }
+
+    if (watchlistFile) {
+        return loadWatchlist(watchlistFile);
+    }
+
+    const configuredFile = config.watchlist?.file;
+    if (configuredFile) {
+        return loadWatchlist(configuredFile);
+    }
+
+    return [];
+}
+
+module.exports = {
+    buildWatchlist,
+    loadWatchlist,
+    resolveWatchlist
+};
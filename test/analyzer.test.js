@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    logging: { level: 'error' }
+});
+
+const { countTraits, getRarityRank } = require('../src/utils/analyzer');
+
+// Four NFTs: Background is Red 3 times and Blue once; Hat is Cap twice, Crown once and
+// missing (None) once. a and b share every trait, so they tie.
+const nft = (mintAddress, traits) => ({ mintAddress, name: mintAddress, traits, rarity: {} });
+const collection = [
+    nft('a', { Background: 'Red', Hat: 'Cap' }),
+    nft('b', { Background: 'Red', Hat: 'Cap' }),
+    nft('c', { Background: 'Red', Hat: 'Crown' }),
+    nft('d', { Background: 'Blue' })
+];
+
+const rankings = scoringMethod => {
+    const { rankings: ranked } = countTraits(collection, { scoringMethod });
+    return Object.fromEntries(Object.entries(ranked).map(([mint, { score, rank }]) => [mint, [score, rank]]));
+};
+
+test('inverseFrequency sums 1 / frequency of each trait', () => {
+    // a: 4/3 + 4/2, c: 4/3 + 4/1, d: 4/1 + 4/1
+    assert.deepStrictEqual(rankings('inverseFrequency'), {
+        d: [8, 1],
+        c: [5.3333, 2],
+        a: [3.3333, 3],
+        b: [3.3333, 3]
+    });
+});
+
+test('informationContent sums -log2 p of each trait over the collection entropy', () => {
+    // Entropy: Background 0.8113 + Hat 1.5 = 2.3113 bits
+    // a: (0.415 + 1) / 2.3113, c: (0.415 + 2) / 2.3113, d: (2 + 2) / 2.3113
+    assert.deepStrictEqual(rankings('informationContent'), {
+        d: [1.7306, 1],
+        c: [1.0449, 2],
+        a: [0.6122, 3],
+        b: [0.6122, 3]
+    });
+});
+
+test('traitNormalized weighs inverse frequency by the average value count of a trait type', () => {
+    // 2.5 values per trait type on average: Background weighs 2.5 / 2, Hat 2.5 / 3
+    // a: 4/3 * 1.25 + 2 * 0.8333, c: 4/3 * 1.25 + 4 * 0.8333, d: 4 * 1.25 + 4 * 0.8333
+    assert.deepStrictEqual(rankings('traitNormalized'), {
+        d: [8.3333, 1],
+        c: [5, 2],
+        a: [3.3333, 3],
+        b: [3.3333, 3]
+    });
+});
+
+test('NFTs outside the collection rank by where their score falls', () => {
+    const traitAnalysis = countTraits(collection, { scoringMethod: 'inverseFrequency' });
+    // An unseen value counts as one of one: 4/1 + 4/2
+    assert.deepStrictEqual(getRarityRank(nft('e', { Background: 'Green', Hat: 'Cap' }), traitAnalysis), { score: 6, rank: 2 });
+    // A tie with a and b shares their rank
+    assert.deepStrictEqual(getRarityRank(nft('f', { Background: 'Red', Hat: 'Cap' }), traitAnalysis), { score: 3.3333, rank: 3 });
+    assert.deepStrictEqual(getRarityRank(collection[0], traitAnalysis), { score: 3.3333, rank: 3 });
+});
+
+test('an unknown scoring method is rejected', () => {
+    assert.throws(() => countTraits(collection, { scoringMethod: 'nope' }), /Unknown rarity scoring method: nope/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rare-sniper-test-'));
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    database: { file: path.join(dir, 'test.sqlite') },
+    logging: { level: 'error' }
+});
+
+const { openDatabase } = require('../src/utils/database');
+const { recordNotificationSend } = require('../src/utils/history');
+const { isQuietTime, quietHoursEnd, nextDigestTime, isImmediate, isThrottled } = require('../src/utils/delivery');
+
+// Times are built in local time, as the delivery settings are
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+const overnight = { enabled: true, start: '23:00', end: '07:00' };
+
+test.before(() => openDatabase());
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('quiet hours running past midnight', () => {
+    assert.strictEqual(isQuietTime(at(1, 22, 59), overnight), false);
+    assert.strictEqual(isQuietTime(at(1, 23, 0), overnight), true);
+    assert.strictEqual(isQuietTime(at(2, 3, 30), overnight), true);
+    assert.strictEqual(isQuietTime(at(2, 7, 0), overnight), false);
+});
+
+test('quiet hours within a day', () => {
+    const lunch = { enabled: true, start: '12:00', end: '13:30' };
+    assert.strictEqual(isQuietTime(at(1, 11, 59), lunch), false);
+    assert.strictEqual(isQuietTime(at(1, 13, 29), lunch), true);
+    assert.strictEqual(isQuietTime(at(1, 13, 30), lunch), false);
+});
+
+test('disabled quiet hours are never quiet', () => {
+    assert.strictEqual(isQuietTime(at(2, 3), { ...overnight, enabled: false }), false);
+});
+
+test('quiet hours end on the next end time', () => {
+    assert.strictEqual(quietHoursEnd(at(1, 23, 30), overnight), at(2, 7));
+    assert.strictEqual(quietHoursEnd(at(2, 3), overnight), at(2, 7));
+});
+
+test('hourly digests are due at the next full hour', () => {
+    const hourly = { interval: 'hourly', dailyAt: '09:00' };
+    assert.strictEqual(nextDigestTime(at(1, 10, 15), hourly), at(1, 11));
+    assert.strictEqual(nextDigestTime(at(1, 23, 45), hourly), at(2, 0));
+});
+
+test('daily digests are due at the next dailyAt', () => {
+    const daily = { interval: 'daily', dailyAt: '09:00' };
+    assert.strictEqual(nextDigestTime(at(1, 8, 0), daily), at(1, 9));
+    assert.strictEqual(nextDigestTime(at(1, 9, 0), daily), at(2, 9));
+});
+
+test('alerts below the immediate score wait for a digest', () => {
+    assert.strictEqual(isImmediate({ score: 3 }, 0), true);
+    assert.strictEqual(isImmediate({ score: 3 }, 5), false);
+    assert.strictEqual(isImmediate({ score: 5 }, 5), true);
+    assert.strictEqual(isImmediate({ score: null }, 5), false);
+});
+
+test('a channel is throttled once it sent its messages of the last hour', () => {
+    const channel = { name: 'throttle-test', options: { maxMessagesPerHour: 2 } };
+    const now = at(1, 12);
+    recordNotificationSend('throttle-test', now - 2 * 3600000);
+    recordNotificationSend('throttle-test', now - 1800000);
+    assert.strictEqual(isThrottled(channel, now), false);
+    recordNotificationSend('throttle-test', now - 60000);
+    assert.strictEqual(isThrottled(channel, now), true);
+    assert.strictEqual(isThrottled(channel, now + 1800000 + 1000), false);
+    assert.strictEqual(isThrottled({ name: 'throttle-test', options: { maxMessagesPerHour: 0 } }, now), false);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    // The 404 below logs a warning, so keep it out of the test output
+    logging: { level: 'silent' }
+});
+
+const { createFixtureServer } = require('../src/api/fixture-server');
+
+const dir = path.join(__dirname, 'fixtures', 'magiceden');
+let server;
+let baseUrl;
+
+/**
+ * Request a route from the fixture server
+ * @param {string} route - Path and query string
+ * @returns {Promise<Object>} Response status and body parsed as JSON
+ */
+function request(route) {
+    return new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${route}`, res => {
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        }).on('error', reject);
+    });
+}
+
+const fixture = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+test.before(async () => {
+    server = createFixtureServer(dir);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test('serves the fixture of a route', async () => {
+    const response = await request('/collections/tst/stats');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, fixture('collections/tst/stats.json'));
+});
+
+test('serves routes with a query string and the /v2 prefix', async () => {
+    const response = await request('/v2/collections/tst/listings?offset=0&limit=500');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, fixture('collections/tst/listings@offset=0&limit=500.json'));
+    assert.deepStrictEqual((await request('/v2/tokens/mint0')).body, fixture('tokens/mint0.json'));
+});
+
+test('answers 404 for a route without a fixture', async () => {
+    const response = await request('/v2/collections/unknown/stats');
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(response.body, { error: 'No fixture for this request' });
+});
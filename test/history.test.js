@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rare-sniper-test-'));
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    database: { file: path.join(dir, 'test.sqlite'), historyDays: 1 },
+    logging: { level: 'error' }
+});
+
+const { openDatabase, closeDatabase, all } = require('../src/utils/database');
+const { recordScan, getListingHistory } = require('../src/utils/history');
+
+const listing = (mintAddress, price, seller = 'seller') => ({ mintAddress, price, seller, rarityRank: 1, rarityScore: 2 });
+const scan = startedAt => ({ name: 'History', startedAt, completedAt: startedAt, floorPrice: 1, listedCount: 2 });
+
+test.before(() => openDatabase());
+test.after(() => {
+    closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('scans record only the listings that appeared, changed or left', () => {
+    const start = 1700000000000;
+    recordScan('history', scan(start), [listing('a', 10), listing('b', 20)]);
+    recordScan('history', scan(start + 60000), [listing('a', 10), listing('b', 20)]);
+    recordScan('history', scan(start + 120000), [listing('a', 8), listing('b', 20, 'other')]);
+    recordScan('history', scan(start + 180000), [listing('b', 20, 'other')]);
+
+    const rows = all('SELECT mint_address AS mint, price, seller, listed FROM listing_changes WHERE collection = ? ORDER BY scan_id, mint_address', ['history']);
+    assert.deepStrictEqual(rows, [
+        { mint: 'a', price: 10, seller: 'seller', listed: 1 },
+        { mint: 'b', price: 20, seller: 'seller', listed: 1 },
+        { mint: 'a', price: 8, seller: 'seller', listed: 1 },
+        { mint: 'b', price: 20, seller: 'other', listed: 1 },
+        { mint: 'a', price: null, seller: null, listed: 0 }
+    ]);
+    assert.deepStrictEqual(getListingHistory('history', 'a').map(row => [row.price, Boolean(row.listed)]), [[10, true], [8, true], [null, false]]);
+});
+
+test('scans older than historyDays are pruned with their changes', () => {
+    const start = 1800000000000;
+    recordScan('pruned', scan(start), [listing('a', 10)]);
+    recordScan('pruned', scan(start + 2 * 86400000), [listing('a', 10), listing('b', 5)]);
+
+    const scans = all('SELECT id FROM scans WHERE collection = ?', ['pruned']);
+    assert.strictEqual(scans.length, 1);
+    const rows = all('SELECT scan_id AS scanId, mint_address AS mint FROM listing_changes WHERE collection = ?', ['pruned']);
+    assert.deepStrictEqual(rows, [{ scanId: scans[0].id, mint: 'b' }]);
+});
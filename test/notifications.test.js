@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rare-sniper-test-'));
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    database: { file: path.join(dir, 'test.sqlite') },
+    logging: { level: 'error' },
+    notifications: {
+        discord: { enabled: true, webhookUrl: 'http://127.0.0.1:9/unused', maxMessagesPerHour: 1 },
+        delivery: {
+            immediateMinScore: 5,
+            digest: { interval: 'hourly', dailyAt: '09:00' },
+            quietHours: { enabled: true, start: '23:00', end: '07:00' }
+        }
+    }
+});
+
+const { openDatabase } = require('../src/utils/database');
+const { CHANNELS, sendRareNotifications, sendQueuedNotifications, getQueuedMints } = require('../src/utils/notifications');
+const { getMarketplace } = require('../src/marketplaces');
+
+// Stand-in Discord channel that records what it was sent, posting itemsPerPost items at a time
+const sent = [];
+let itemsPerPost = Infinity;
+CHANNELS.discord = {
+    name: 'discord',
+    send: async (message, options, { canPost, posted }) => {
+        const delivered = [];
+        for (let index = 0; index < message.items.length && canPost(); index += itemsPerPost) {
+            const items = message.items.slice(index, index + itemsPerPost);
+            sent.push({ ...message, items });
+            posted();
+            delivered.push(...items.map(item => item.mintAddress));
+        }
+        return delivered.length > 0 ? { delivered } : false;
+    }
+};
+
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+const nft = (mintAddress, score, price = 1000000000) => ({
+    name: mintAddress,
+    mintAddress,
+    price,
+    seller: 'seller',
+    rarityRank: 1,
+    rarityScore: score,
+    rarity: {}
+});
+const collection = symbol => ({ symbol, name: symbol, marketplace: getMarketplace() });
+
+test.before(() => openDatabase());
+test.beforeEach(() => {
+    sent.length = 0;
+    itemsPerPost = Infinity;
+});
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('alerts found during quiet hours are held until they end', async () => {
+    const nfts = [nft('quiet1', 9), nft('quiet2', 1)];
+    const channels = await sendRareNotifications(nfts, collection('quiet'), at(1, 23, 30));
+    assert.deepStrictEqual([...channels.values()], [[], []]);
+    assert.strictEqual(sent.length, 0);
+    assert.deepStrictEqual([...getQueuedMints('quiet')].sort(), ['quiet1', 'quiet2']);
+
+    assert.deepStrictEqual(await sendQueuedNotifications('quiet', nfts, at(2, 6, 59)), []);
+    assert.strictEqual(sent.length, 0);
+
+    const resolved = await sendQueuedNotifications('quiet', nfts, at(2, 7, 0));
+    assert.deepStrictEqual(resolved.map(item => item.mintAddress).sort(), ['quiet1', 'quiet2']);
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0].title, /Digest/);
+    assert.strictEqual(getQueuedMints('quiet').size, 0);
+});
+
+test('only alerts scoring immediateMinScore are sent right away', async () => {
+    const nfts = [nft('score1', 9), nft('score2', 1)];
+    const channels = await sendRareNotifications(nfts, collection('score'), at(3, 12, 10));
+    assert.deepStrictEqual(channels.get('score1'), ['discord']);
+    assert.deepStrictEqual(channels.get('score2'), []);
+    assert.deepStrictEqual(sent.map(message => message.items.map(item => item.mintAddress)), [['score1']]);
+    assert.deepStrictEqual([...getQueuedMints('score')], ['score2']);
+
+    // The digest is due at the next full hour, and the channel sent its one message of the hour
+    assert.deepStrictEqual(await sendQueuedNotifications('score', nfts, at(3, 12, 59)), []);
+    const resolved = await sendQueuedNotifications('score', nfts, at(3, 13, 11));
+    assert.deepStrictEqual(resolved.map(item => item.mintAddress), ['score2']);
+});
+
+test('alerts over the hourly cap are folded into the next digest', async () => {
+    const first = [nft('cap1', 9)];
+    const second = [nft('cap2', 9)];
+    await sendRareNotifications(first, collection('cap'), at(5, 12, 0));
+    const channels = await sendRareNotifications(second, collection('cap'), at(5, 12, 20));
+    assert.deepStrictEqual(channels.get('cap2'), []);
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual([...getQueuedMints('cap')], ['cap2']);
+
+    // Due at 13:00, but the cap still holds until an hour after the first message
+    assert.deepStrictEqual(await sendQueuedNotifications('cap', second, at(5, 13, 0) - 1), []);
+    const resolved = await sendQueuedNotifications('cap', second, at(5, 13, 0) + 1000);
+    assert.deepStrictEqual(resolved.map(item => item.mintAddress), ['cap2']);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('held alerts whose listing changed are dropped and returned to mark as seen', async () => {
+    const nfts = [nft('drop1', 1), nft('drop2', 1)];
+    await sendRareNotifications(nfts, collection('drop'), at(7, 12, 0));
+
+    // drop1 was repriced and drop2 delisted before the digest
+    const resolved = await sendQueuedNotifications('drop', [nft('drop1', 1, 500000000)], at(7, 13, 5));
+    assert.strictEqual(sent.length, 0);
+    assert.deepStrictEqual(resolved.map(item => [item.mintAddress, item.price]).sort(), [['drop1', 1000000000], ['drop2', 1000000000]]);
+    assert.strictEqual(getQueuedMints('drop').size, 0);
+});
+
+test('every post of a split message counts toward the hourly cap', async () => {
+    itemsPerPost = 1;
+    const nfts = [nft('part1', 9), nft('part2', 9)];
+    const channels = await sendRareNotifications(nfts, collection('parts'), at(9, 12, 0));
+    assert.deepStrictEqual(channels.get('part1'), ['discord']);
+    assert.deepStrictEqual(channels.get('part2'), []);
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual([...getQueuedMints('parts')], ['part2']);
+
+    assert.deepStrictEqual(await sendQueuedNotifications('parts', nfts, at(9, 12, 30)), []);
+    const resolved = await sendQueuedNotifications('parts', nfts, at(9, 13, 0) + 1000);
+    assert.deepStrictEqual(resolved.map(item => item.mintAddress), ['part2']);
+    assert.strictEqual(sent.length, 2);
+});
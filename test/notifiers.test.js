@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    // The failed posts below are expected, so keep their errors out of the test output
+    logging: { level: 'silent' }
+});
+
+const { buildRareMessage, describeItem } = require('../src/notifiers/message');
+const slack = require('../src/notifiers/slack');
+const telegram = require('../src/notifiers/telegram');
+const discord = require('../src/notifiers/discord');
+const webhook = require('../src/notifiers/webhook');
+const email = require('../src/notifiers/email');
+const { getMarketplace } = require('../src/marketplaces');
+
+const nft = (index, { name = `NFT #${index}`, traits = 1 } = {}) => {
+    const rarity = {};
+    for (let trait = 0; trait < traits; trait++) {
+        rarity[`Trait ${trait}`] = { value: `Value ${trait} `.repeat(5), percentage: 0.5, rare: true, reason: 'Below threshold' };
+    }
+    return {
+        name,
+        mintAddress: `mint${index}`,
+        price: 1000000000,
+        seller: 'seller',
+        rarityRank: index + 1,
+        rarityScore: 2.5,
+        rarity
+    };
+};
+const message = (count, options) => buildRareMessage(
+    Array.from({ length: count }, (value, index) => nft(index, options)),
+    { symbol: 'test', name: 'Test', marketplace: getMarketplace() }
+);
+const mints = count => Array.from({ length: count }, (value, index) => `mint${index}`);
+
+/**
+ * Start a local server that records the JSON bodies posted to it
+ * @param {Function} status - Called with the request index, returns the response status
+ * @returns {Promise<Object>} Server url, the recorded bodies and a close function
+ */
+async function startServer(status = () => 200) {
+    const bodies = [];
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => {
+            bodies.push(JSON.parse(data));
+            res.writeHead(status(bodies.length - 1), { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        bodies,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Start a minimal SMTP server that accepts every mail and records its envelope and data
+ * @returns {Promise<Object>} Server port, the recorded mails and a close function
+ */
+async function startSmtpServer() {
+    const mails = [];
+    const server = net.createServer(socket => {
+        const mail = { from: null, to: [], data: '' };
+        let buffer = '';
+        let inData = false;
+        socket.write('220 localhost ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        mails.push({ ...mail, to: [...mail.to] });
+                        socket.write('250 OK\r\n');
+                    } else {
+                        mail.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+                    }
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'MAIL') {
+                    mail.from = line.match(/<(.*)>/)[1];
+                } else if (command === 'RCPT') {
+                    mail.to.push(line.match(/<(.*)>/)[1]);
+                } else if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                    continue;
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                    continue;
+                }
+                socket.write('250 OK\r\n');
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        mails,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('a missing rank or score is left out of an item', () => {
+    const item = { name: 'A', priceLabel: '1 SOL', rank: null, score: null, rareTraits: [], url: 'https://example.com' };
+    assert.deepStrictEqual(describeItem(item), ['A', 'Price: 1 SOL', 'https://example.com']);
+    assert.ok(describeItem({ ...item, rank: 4 }).includes('Rank: #4'));
+});
+
+test('slack splits items across posts within its block and text limits', () => {
+    const long = message(30, { name: 'N'.repeat(300), traits: 200 });
+    long.title = 'T'.repeat(200);
+    const posts = slack.buildPosts(long, { username: 'sniper' });
+
+    assert.strictEqual(posts.length, 2);
+    assert.deepStrictEqual(posts.flatMap(post => post.mints), mints(30));
+    posts.forEach((post, index) => {
+        const { blocks } = post.payload;
+        assert.ok(blocks.length <= slack.LIMITS.blocks);
+        assert.strictEqual(blocks[0].text.text.length, slack.LIMITS.headerText);
+        assert.match(blocks[1].text.text, new RegExp(`part ${index + 1} of 2`));
+        blocks.filter(block => block.type === 'section').forEach(block => {
+            assert.ok(block.text.text.length <= slack.LIMITS.sectionText);
+        });
+    });
+    assert.match(posts[0].payload.blocks[2].text.text, /…and \d+ more$/);
+});
+
+test('slack reports the items of the posts sent before a failure', async () => {
+    const server = await startServer(index => (index === 0 ? 200 : 500));
+    try {
+        const result = await slack.send(message(30), { webhookUrl: server.url });
+        assert.deepStrictEqual(result, { delivered: mints(24) });
+        assert.strictEqual(server.bodies.length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('slack returns false when nothing was sent', async () => {
+    const server = await startServer(() => 500);
+    try {
+        assert.strictEqual(await slack.send(message(3), { webhookUrl: server.url }), false);
+    } finally {
+        await server.close();
+    }
+});
+
+test('telegram splits items across messages within the length limit', () => {
+    const long = message(40, { name: '<b>'.repeat(100), traits: 30 });
+    const texts = telegram.buildTexts(long);
+
+    assert.ok(texts.length > 1);
+    assert.deepStrictEqual(texts.flatMap(text => text.mints), mints(40));
+    texts.forEach((text, index) => {
+        assert.ok(text.text.length <= telegram.MAX_MESSAGE_LENGTH);
+        assert.ok(text.text.includes(`(part ${index + 1} of ${texts.length})`));
+        assert.ok(!text.text.includes('<b><b>'));
+    });
+});
+
+test('telegram reports the items of the messages sent before a failure', async () => {
+    const server = await startServer(index => (index < 2 ? 200 : 400));
+    try {
+        const long = message(40, { traits: 30 });
+        const texts = telegram.buildTexts(long);
+        const result = await telegram.send(long, { apiUrl: server.url, botToken: 'token', chatId: 'chat' });
+
+        assert.deepStrictEqual(result, { delivered: [...texts[0].mints, ...texts[1].mints] });
+        assert.strictEqual(server.bodies[0].chat_id, 'chat');
+        assert.strictEqual(server.bodies[0].parse_mode, 'HTML');
+    } finally {
+        await server.close();
+    }
+});
+
+test('discord splits embeds across posts and reports the items sent before a failure', async () => {
+    const server = await startServer(index => (index < 2 ? 204 : 400));
+    try {
+        const result = await discord.send(message(25, { traits: 50 }), { webhookUrl: server.url, maxRetries: 0 });
+        const embeds = server.bodies.flatMap(body => body.embeds);
+
+        assert.strictEqual(server.bodies.length, 3);
+        server.bodies.forEach(body => assert.ok(body.embeds.length <= 10));
+        // The first post opens with the summary embed
+        assert.deepStrictEqual(result, { delivered: mints(embeds.length - server.bodies[2].embeds.length - 1) });
+        embeds.flatMap(embed => embed.fields || []).forEach(field => assert.ok(field.value.length <= 1024));
+    } finally {
+        await server.close();
+    }
+});
+
+test('webhook renders its template and reports every item', async () => {
+    const server = await startServer();
+    try {
+        const result = await webhook.send(message(2), {
+            url: server.url,
+            template: { text: '{{summary}}', first: '{{items.0.mintAddress}}', items: '{{items}}' }
+        });
+
+        assert.deepStrictEqual(result, { delivered: mints(2) });
+        assert.strictEqual(server.bodies[0].text, 'Found 2 rare NFTs in collection Test');
+        assert.strictEqual(server.bodies[0].first, 'mint0');
+        assert.strictEqual(server.bodies[0].items.length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('email sends the message to the recipient over SMTP', async () => {
+    const server = await startSmtpServer();
+    try {
+        const result = await email.send(message(2), {
+            host: '127.0.0.1',
+            port: server.port,
+            ignoreTLS: true,
+            from: 'sniper@example.com',
+            to: 'trader@example.com'
+        });
+
+        assert.deepStrictEqual(result, { delivered: mints(2) });
+        assert.strictEqual(server.mails.length, 1);
+        const [mail] = server.mails;
+        assert.strictEqual(mail.from, 'sniper@example.com');
+        assert.deepStrictEqual(mail.to, ['trader@example.com']);
+        assert.match(mail.data, /^Subject: Found 2 rare NFTs in collection Test$/m);
+        // Undo the soft line breaks of quoted-printable parts
+        const body = mail.data.replace(/=\r\n/g, '');
+        assert.match(body, /Content-Type: text\/plain/);
+        assert.match(body, /NFT #0/);
+        assert.match(body, /NFT #1/);
+    } finally {
+        await server.close();
+    }
+});
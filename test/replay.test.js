@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Replays a scan from the fixtures in test/fixtures/magiceden, recorded against a local mock
+// of the API rather than the live API: a made-up 20 NFT collection "tst" with 10 listings, where mint7 has the only Cosmic background,
+// mint0 the only Diamond eyes, and mint3 no rare trait but a price below its trait floors
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rare-sniper-test-'));
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    database: { file: path.join(dir, 'test.sqlite') },
+    logging: { level: 'error' },
+    magiceden: {
+        // Nothing listens here, so any request missing from the fixtures fails the scan
+        api: 'http://127.0.0.1:9/v2',
+        fixtures: { mode: 'replay', dir: path.join(__dirname, 'fixtures', 'magiceden') }
+    },
+    collectionAnalysis: { cacheFullCollectionData: false },
+    notifications: { discord: { enabled: false } }
+});
+
+const { closeDatabase } = require('../src/utils/database');
+const { Sniper } = require('../src/index');
+
+test.after(() => {
+    closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a replayed scan alerts the one of one and trait floor listings', async () => {
+    const sniper = new Sniper({ collections: ['tst'] });
+    const found = [];
+    const completed = [];
+    sniper.on('rareFound', ({ nfts }) => found.push(...nfts));
+    sniper.on('scanComplete', details => completed.push(details));
+
+    assert.strictEqual(await sniper.scanOnce('tst'), true);
+
+    assert.deepStrictEqual(found.map(nft => nft.mintAddress).sort(), ['mint0', 'mint3', 'mint7']);
+    const cosmic = found.find(nft => nft.mintAddress === 'mint7');
+    assert.strictEqual(cosmic.price, 1000000000);
+    assert.strictEqual(cosmic.rarity.Background.value, 'Cosmic');
+    assert.strictEqual(cosmic.rarity.Background.rare, true);
+    const underpriced = found.find(nft => nft.mintAddress === 'mint3');
+    assert.strictEqual(underpriced.rareTraitCount, 0);
+    assert.strictEqual(underpriced.matchedRule, 'Trait floor');
+    assert.ok(underpriced.underpriced.traitFloor > underpriced.price);
+    assert.strictEqual(completed.length, 1);
+    assert.strictEqual(completed[0].completed, true);
+});
+
+test('replaying the same scan again alerts nothing new', async () => {
+    const sniper = new Sniper({ collections: ['tst'] });
+    const found = [];
+    sniper.on('rareFound', ({ nfts }) => found.push(...nfts));
+
+    assert.strictEqual(await sniper.scanOnce('tst'), true);
+    assert.deepStrictEqual(found, []);
+});
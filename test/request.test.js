@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    // The retries below are expected, so keep their warnings out of the test output
+    logging: { level: 'silent' },
+    magiceden: {
+        requestsPerSecond: 20,
+        burst: 3,
+        concurrency: 2,
+        timeoutMs: 5000,
+        retry: { maxRetries: 3, baseDelayMs: 100, maxDelayMs: 250 }
+    }
+});
+
+const { request, getRequestStats } = require('../src/api/request');
+
+/**
+ * Start a local API server that records when each request arrived
+ * @param {Function} handler - Called with the request index and response, answers the request
+ * @returns {Promise<Object>} Server url, arrival times, the most requests in flight at once and a close function
+ */
+async function startServer(handler) {
+    const arrivals = [];
+    const state = { active: 0, maxActive: 0 };
+    const server = http.createServer((req, res) => {
+        arrivals.push(Date.now());
+        state.active++;
+        state.maxActive = Math.max(state.maxActive, state.active);
+        res.on('finish', () => {
+            state.active--;
+        });
+        handler(arrivals.length - 1, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        arrivals,
+        state,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+const reply = (res, status, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ status }));
+};
+const gaps = arrivals => arrivals.slice(1).map((time, index) => time - arrivals[index]);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every test starts with a full token bucket
+test.beforeEach(() => sleep(200));
+
+test('a 429 is retried no sooner than its Retry-After', async () => {
+    const server = await startServer((index, res) => (index === 0 ? reply(res, 429, { 'Retry-After': '1' }) : reply(res, 200)));
+    try {
+        assert.deepStrictEqual(await request('retryAfter', server.url), { status: 200 });
+        assert.strictEqual(server.arrivals.length, 2);
+        // Longer than any backoff jitter allows, so the wait is the server's
+        const [gap] = gaps(server.arrivals);
+        assert.ok(gap >= 990 && gap < 1500, `retried after ${gap}ms`);
+
+        const stats = getRequestStats().retryAfter;
+        assert.strictEqual(stats.requests, 2);
+        assert.strictEqual(stats.retries, 1);
+        assert.strictEqual(stats.rateLimited, 1);
+        assert.deepStrictEqual(stats.statuses, { 200: 1, 429: 1 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('server errors are retried maxRetries times with full jitter backoff', async () => {
+    const server = await startServer((index, res) => reply(res, 503));
+    const random = Math.random;
+    // At the top of the jitter range every delay is its full ceiling: 100, 200, then capped at 250ms
+    Math.random = () => 0.999;
+    try {
+        await assert.rejects(request('backoff', server.url), error => error.response.status === 503);
+    } finally {
+        Math.random = random;
+        await server.close();
+    }
+
+    assert.strictEqual(server.arrivals.length, 4);
+    gaps(server.arrivals).forEach((gap, index) => {
+        const ceiling = [100, 200, 250][index];
+        assert.ok(gap >= ceiling - 5 && gap < ceiling + 150, `retry ${index + 1} after ${gap}ms`);
+    });
+    const stats = getRequestStats().backoff;
+    assert.strictEqual(stats.retries, 3);
+    assert.strictEqual(stats.failures, 1);
+});
+
+test('the bottom of the jitter range retries without waiting', async () => {
+    const server = await startServer((index, res) => (index < 2 ? reply(res, 500) : reply(res, 200)));
+    const random = Math.random;
+    Math.random = () => 0;
+    try {
+        assert.deepStrictEqual(await request('jitter', server.url), { status: 200 });
+    } finally {
+        Math.random = random;
+        await server.close();
+    }
+
+    assert.strictEqual(server.arrivals.length, 3);
+    gaps(server.arrivals).forEach(gap => assert.ok(gap < 90, `retried after ${gap}ms`));
+});
+
+test('errors other than 429, 5xx and timeouts are not retried', async () => {
+    const server = await startServer((index, res) => reply(res, 404));
+    try {
+        await assert.rejects(request('notFound', server.url), error => error.response.status === 404);
+        assert.strictEqual(server.arrivals.length, 1);
+        assert.strictEqual(getRequestStats().notFound.retries, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('requests beyond the burst wait for tokens at requestsPerSecond', async () => {
+    const server = await startServer((index, res) => reply(res, 200));
+    try {
+        await Promise.all(Array.from({ length: 9 }, () => request('bucket', server.url)));
+    } finally {
+        await server.close();
+    }
+
+    // The 3 burst tokens go out at once, then one token every 50ms
+    const start = server.arrivals[0];
+    assert.ok(server.arrivals[2] - start < 45, `burst took ${server.arrivals[2] - start}ms`);
+    server.arrivals.slice(3).forEach((time, index) => {
+        assert.ok(time - start >= (index + 1) * 50 - 5, `request ${index + 4} after ${time - start}ms`);
+    });
+});
+
+test('no more than concurrency requests are in flight at once', async () => {
+    const server = await startServer((index, res) => setTimeout(() => reply(res, 200), 150));
+    try {
+        await Promise.all(Array.from({ length: 6 }, () => request('concurrency', server.url)));
+    } finally {
+        await server.close();
+    }
+
+    assert.strictEqual(server.arrivals.length, 6);
+    assert.strictEqual(server.state.maxActive, 2);
+});
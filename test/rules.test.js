@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    logging: { level: 'error' }
+});
+
+const { matchRule, applyAlertRules } = require('../src/utils/rules');
+const { getMarketplace } = require('../src/marketplaces');
+
+const marketplace = getMarketplace();
+// Rank 10 with one rare trait, listed at 2 SOL by alice: Gold background, Laser eyes, level 3 and no hat
+const listing = {
+    mintAddress: 'mint',
+    price: 2000000000,
+    seller: 'alice',
+    rarityRank: 10,
+    rareTraitCount: 1,
+    traits: { Background: 'Gold', Eyes: 'Laser', Level: 3 }
+};
+
+const cases = [
+    { name: 'an empty rule matches', rule: {}, matches: true },
+    { name: 'a required trait value matches', rule: { traits: { Background: 'Gold' } }, matches: true },
+    { name: 'another trait value does not match', rule: { traits: { Background: 'Blue' } }, matches: false },
+    { name: 'every required trait must match', rule: { traits: { Background: 'Gold', Eyes: 'Sleepy' } }, matches: false },
+    { name: 'a trait array matches any of its values', rule: { traits: { Background: ['Blue', 'Gold'] } }, matches: true },
+    { name: 'a trait array without the value does not match', rule: { traits: { Background: ['Blue', 'Red'] } }, matches: false },
+    { name: 'a missing trait matches None', rule: { traits: { Hat: 'None' } }, matches: true },
+    { name: 'numeric trait values match as strings', rule: { traits: { Level: '3' } }, matches: true },
+    { name: 'an excluded trait value does not match', rule: { excludeTraits: { Eyes: 'Laser' } }, matches: false },
+    { name: 'an excluded trait array rejects any of its values', rule: { excludeTraits: { Eyes: ['Sleepy', 'Laser'] } }, matches: false },
+    { name: 'an excluded trait array without the value matches', rule: { excludeTraits: { Eyes: ['Sleepy', 'Closed'] } }, matches: true },
+    { name: 'a required and an excluded trait both apply', rule: { traits: { Background: 'Gold' }, excludeTraits: { Hat: 'None' } }, matches: false },
+    { name: 'a rank inside the range matches', rule: { minRank: 10, maxRank: 10 }, matches: true },
+    { name: 'a rank below minRank does not match', rule: { minRank: 11 }, matches: false },
+    { name: 'a rank above maxRank does not match', rule: { maxRank: 9 }, matches: false },
+    { name: 'a price at maxPriceSol matches', rule: { maxPriceSol: 2 }, matches: true },
+    { name: 'a price above maxPriceSol does not match', rule: { maxPriceSol: 1.99 }, matches: false },
+    { name: 'a listing without a price does not match maxPriceSol', rule: { maxPriceSol: 2 }, nft: { price: null }, matches: false },
+    { name: 'an excluded seller does not match', rule: { excludeSellers: ['bob', 'alice'] }, matches: false },
+    { name: 'another seller matches', rule: { excludeSellers: ['bob'] }, matches: true },
+    { name: 'too few rare traits do not match', rule: { minRareTraits: 2 }, matches: false }
+];
+
+cases.forEach(({ name, rule, nft = {}, matches }) => {
+    test(`matchRule: ${name}`, () => {
+        assert.strictEqual(matchRule({ ...listing, ...nft }, rule, marketplace), matches);
+    });
+});
+
+test('applyAlertRules reports the first matching rule and drops listings no rule matches', () => {
+    const candidates = [
+        { ...listing, mintAddress: 'gold' },
+        { ...listing, mintAddress: 'cheap', price: 500000000, traits: { Background: 'Blue' } },
+        { ...listing, mintAddress: 'none', traits: { Background: 'Blue' } }
+    ];
+    const rules = [
+        { name: 'Gold', traits: { Background: 'Gold' } },
+        { maxPriceSol: 1 },
+        { maxPriceSol: 3, excludeSellers: ['alice'] }
+    ];
+
+    const alerted = applyAlertRules(candidates, rules, marketplace);
+    assert.deepStrictEqual(alerted.map(nft => [nft.mintAddress, nft.matchedRule]), [['gold', 'Gold'], ['cheap', 'Rule 2']]);
+});
+
+test('without rules every candidate is alerted under the rarity settings or its trait floor', () => {
+    const candidates = [{ ...listing }, { ...listing, rareTraitCount: 0, underpriced: { traitType: 'Eyes' } }];
+    const alerted = applyAlertRules(candidates, [], marketplace);
+    assert.deepStrictEqual(alerted.map(nft => nft.matchedRule), ['Rarity settings', 'Trait floor']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rare-sniper-test-'));
+process.env.NODE_CONFIG_DIR = path.join(__dirname, '..', 'config');
+process.env.NODE_CONFIG = JSON.stringify({
+    database: { file: path.join(dir, 'test.sqlite') },
+    logging: { level: 'error' }
+});
+
+const { openDatabase, closeDatabase } = require('../src/utils/database');
+const { saveSeenRareNFTs, loadSeenRareNFTs } = require('../src/utils/cache');
+const { toSeenState, markDelisted, getAlertReason, markNotified } = require('../src/utils/seen');
+
+const settings = { realertPriceDropPercent: 10, realertRelistDelayMinutes: 60, realertOnNewSeller: true };
+const listing = (price = 1000, seller = 'alice') => ({ mintAddress: 'mint', price, seller });
+const alerted = (now = 0) => {
+    const seen = new Map();
+    markNotified(seen, listing(), now);
+    return seen;
+};
+
+test.before(() => openDatabase());
+test.after(() => {
+    closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a listing never alerted is a new listing', () => {
+    assert.strictEqual(getAlertReason(undefined, listing(), settings), 'New listing');
+});
+
+test('an unchanged listing is not alerted again', () => {
+    assert.strictEqual(getAlertReason(alerted().get('mint'), listing(), settings), null);
+});
+
+test('a price drop of at least realertPriceDropPercent alerts again', () => {
+    const entry = alerted().get('mint');
+    assert.strictEqual(getAlertReason(entry, listing(950), settings), null);
+    assert.strictEqual(getAlertReason(entry, listing(875), settings), 'Price drop 12.5%');
+    assert.strictEqual(getAlertReason(entry, listing(875), { ...settings, realertPriceDropPercent: 0 }), null);
+});
+
+test('a new seller alerts again', () => {
+    const entry = alerted().get('mint');
+    assert.strictEqual(getAlertReason(entry, listing(1000, 'bob'), settings), 'New seller');
+    assert.strictEqual(getAlertReason(entry, listing(1000, 'bob'), { ...settings, realertOnNewSeller: false }), null);
+});
+
+test('a relist after realertRelistDelayMinutes alerts again until it is alerted', () => {
+    const seen = alerted();
+    markDelisted(seen, new Set(), 1000);
+    assert.strictEqual(seen.get('mint').delistedAt, 1000);
+
+    // Back after 61 minutes, and still pending a scan later
+    markDelisted(seen, new Set(['mint']), 1000 + 61 * 60000);
+    assert.strictEqual(seen.get('mint').relistedAfterMs, 61 * 60000);
+    assert.strictEqual(getAlertReason(seen.get('mint'), listing(), settings), 'Relisted');
+    markDelisted(seen, new Set(['mint']), 1000 + 71 * 60000);
+    assert.strictEqual(getAlertReason(seen.get('mint'), listing(), settings), 'Relisted');
+
+    markNotified(seen, listing(), 1000 + 71 * 60000);
+    assert.strictEqual(getAlertReason(seen.get('mint'), listing(), settings), null);
+});
+
+test('a relist sooner than realertRelistDelayMinutes is not alerted', () => {
+    const seen = alerted();
+    markDelisted(seen, new Set(), 1000);
+    markDelisted(seen, new Set(['mint']), 1000 + 30 * 60000);
+    assert.strictEqual(getAlertReason(seen.get('mint'), listing(), settings), null);
+});
+
+test('a pending relist alert survives saving and loading the seen state', () => {
+    const seen = alerted();
+    markDelisted(seen, new Set(), 1000);
+    markDelisted(seen, new Set(['mint']), 1000 + 90 * 60000);
+    assert.strictEqual(saveSeenRareNFTs('relist', seen), true);
+
+    const loaded = loadSeenRareNFTs('relist');
+    assert.deepStrictEqual(loaded, toSeenState([{ mintAddress: 'mint', seller: 'alice', price: 1000, notifiedAt: 0, relistedAfterMs: 90 * 60000 }]));
+    assert.strictEqual(getAlertReason(loaded.get('mint'), listing(), settings), 'Relisted');
+});